@@ -18,8 +18,11 @@
 // The HTTP API server's entry point.
 
 var express = require('express');
+var api = require('./src/util/api');
 var auth = require('./src/util/auth');
 var config = require('./src/util/config');
+var push = require('./src/util/push');
+var ratelimit = require('./src/util/ratelimit');
 var session = require('./src/util/session');
 
 function setupConfig(app) {
@@ -27,6 +30,7 @@ function setupConfig(app) {
     app.use(express.logger());
     app.use(auth.parser);
     app.use(crossOriginAllower);
+    app.use(ratelimit.limitSessionCreation);
     app.use(app.router);
     app.use(express.errorHandler({
       dumpExceptions: config.debug || false,
@@ -36,17 +40,23 @@ function setupConfig(app) {
 }
 
 function crossOriginAllower(req, res, next) {
-  var origin = req.header('Origin', '*');
-  if (origin == 'null') {
-    origin = '*';
+  var origin = req.header('Origin');
+  if (origin && api.isTrustedOrigin(origin)) {
+    res.header('Access-Control-Allow-Origin', origin);
+    res.header('Access-Control-Allow-Credentials', 'true');
+    res.header('Vary', 'Origin');
+  } else {
+    res.header('Access-Control-Allow-Origin', '*');
   }
-
-  res.header('Access-Control-Allow-Origin', origin);
-  res.header('Access-Control-Allow-Credentials', 'true');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE');
   res.header('Access-Control-Allow-Headers',
-             'Authorization, Content-Type, X-Requested-With, X-Session-Id');
-  res.header('Access-Control-Expose-Headers', 'Location, X-Session-Id');
+             'Authorization, Content-Type, If-Modified-Since, ' +
+             'If-None-Match, Last-Event-ID, X-CSRF-Token, X-Requested-With, ' +
+             'X-Session-Id');
+  res.header('Access-Control-Expose-Headers',
+             'ETag, Link, Location, Retry-After, X-CSRF-Token, ' +
+             'X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, ' +
+             'X-Session-Id, X-Total-Count');
 
   if (req.method == 'OPTIONS') {
     res.send(200);
@@ -60,10 +70,18 @@ function setupResourceHandlers(app) {
     require('./src/account'),
     require('./src/content_feed'),
     require('./src/content_item'),
+    require('./src/hub'),
     require('./src/media'),
     require('./src/metadata'),
+    require('./src/oauth'),
     require('./src/root'),
-    require('./src/subscriptions')
+    require('./src/session'),
+    require('./src/stream'),
+    require('./src/subscriptions'),
+    require('./src/webhooks'),
+    require('./src/websocket'),
+    // Must come last, see channel.js
+    require('./src/channel')
   ];
   handlers.forEach(function(h) { h.setup(app); });
 }
@@ -91,6 +109,7 @@ function createServer() {
 }
 
 var app = createServer();
+push.init();
 setupConfig(app);
 setupResourceHandlers(app);
 printInitialMessage();
@@ -15,41 +15,338 @@
  */
 
 // account.js:
-// Handles account-related requests (/account).
+// Handles account-related requests (/account, /account/password,
+// /account/keys, /account/keys/<id>).
+//
+// Password changes and account removal use In-Band Registration
+// (XEP-0077) over the user's session.
 
-var config = require('./util/config');
+var iso8601 = require('iso8601');
 var connect = require('connect');
 var xmpp = require('node-xmpp');
+var api = require('./util/api');
+var apikeys = require('./util/apikeys');
+var channels = require('./util/channels');
+var config = require('./util/config');
+var loginguard = require('./util/loginguard');
+var oauth = require('./util/oauth');
+var pubsub = require('./util/pubsub');
+var ratelimit = require('./util/ratelimit');
+var registration = require('./util/registration');
+var session = require('./util/session');
+var webhooks = require('./util/webhooks');
 
 /**
  * Registers resource URL handlers.
  */
 exports.setup = function(app) {
+  app.get('/account',
+          ratelimit.limit('reads'),
+          getRegistrationForm);
   app.post('/account',
+           ratelimit.limit('registration'),
            connect.json(),
            registerAccount);
+  app.del('/account',
+          oauth.requireScope('account'),
+          session.provider,
+          deleteAccount);
+  app.put('/account/password',
+          connect.json(),
+          oauth.requireScope('account'),
+          session.provider,
+          changePassword);
+  app.get('/account/keys',
+          oauth.requireScope('account'),
+          session.provider,
+          listKeys);
+  app.post('/account/keys',
+           connect.json(),
+           oauth.requireScope('account'),
+           session.provider,
+           createKey);
+  app.del('/account/keys/:id',
+          oauth.requireScope('account'),
+          session.provider,
+          deleteKey);
 };
 
+//// GET /account //////////////////////////////////////////////////////////////
+
+function getRegistrationForm(req, res) {
+  registration.getForm(function(err, form) {
+    if (err) {
+      res.send(503);
+    } else {
+      res.contentType('json');
+      res.send(form);
+    }
+  });
+}
+
 //// POST /account /////////////////////////////////////////////////////////////
 
+// HTTP status codes for the XMPP errors a registration may be refused with
+var registrationErrors = {
+  'conflict': 409,
+  'not-acceptable': 400,
+  'bad-request': 400,
+  'not-allowed': 403,
+  'forbidden': 403
+};
+
 function registerAccount(req, res) {
-  var username = req.body.username;
+  var fields = req.body;
+  if (!fields.username || !fields.password ||
+      registration.unknownFields(fields).length > 0) {
+    res.send(400);
+    return;
+  }
+
+  var retryAfter = loginguard.beforeRegistration(req);
+  if (retryAfter) {
+    res.header('Retry-After', String(retryAfter));
+    res.send(429);
+    return;
+  }
+
+  registration.register(fields, function(err, condition, text) {
+    if (err || condition) {
+      loginguard.registrationFailed(req, fields.username);
+    }
+
+    if (err || (condition && !registrationErrors[condition])) {
+      res.send(503);
+    } else if (condition) {
+      var reason = {error: condition};
+      if (text) {
+        reason.text = text;
+      }
+      res.contentType('json');
+      res.send(reason, registrationErrors[condition]);
+    } else {
+      createChannel(req, fields.username, fields.password, function() {
+        res.send(200);
+      });
+    }
+  });
+}
+
+// Logs in as the newly registered user to create the user's channel.
+// Failures are only logged, as the account exists nonetheless and the
+// channel can still be created with POST /<channel>.
+function createChannel(req, username, password, callback) {
+  var user = username + '@' + config.xmppDomain;
+  session.login(req, user, password, function(err, newSession) {
+    if (!newSession) {
+      logError('logging in as ' + user, err || 'login refused');
+      callback();
+      return;
+    }
+
+    channels.create(newSession, user, function(errorStanza) {
+      logError('creating the channel of ' + user, errorStanza);
+      session.endSession(newSession.id, function() {
+        callback();
+      });
+    });
+  });
+}
+
+// Creates the skeleton of an In-Band Registration query for the account
+// with the bare JID 'user', addressed to the user's server.
+function registerIq(user) {
+  var domain = user.split('@')[1];
+  return new xmpp.Iq({type: 'set', to: domain}).
+    c('query', {xmlns: 'jabber:iq:register'});
+}
+
+//// DELETE /account ///////////////////////////////////////////////////////////
+
+function deleteAccount(req, res) {
+  var user = session.getUser(req.session);
+  if (!user) {
+    api.sendUnauthorized(res);
+    return;
+  }
+
+  function removeAccount() {
+    var iq = registerIq(user).c('remove').root();
+    api.sendQuery(req, res, iq, function() {
+      session.endUserSessions(user, null, function(err) {
+        logError('ending sessions of ' + user, err);
+        apikeys.removeAll(user, function(err, keyIds) {
+          logError('revoking API keys of ' + user, err);
+          (keyIds || []).forEach(function(keyId) {
+            session.endKeySession(keyId);
+          });
+          webhooks.removeAll(user, function(err) {
+            logError('removing webhooks of ' + user, err);
+            res.send(200);
+          });
+        });
+      });
+    });
+  }
+
+  if (req.query.deleteChannel == 'true') {
+    deleteChannelNodes(req, res, user, removeAccount);
+  } else {
+    removeAccount();
+  }
+}
+
+// Deletes the nodes of 'channel' one after another, then calls 'callback'.
+// Nodes which don't exist are skipped.
+function deleteChannelNodes(req, res, channel, callback) {
+  var nodes = pubsub.channelNodes.slice();
+
+  function deleteNext() {
+    var node = nodes.shift();
+    if (!node) {
+      callback();
+      return;
+    }
+
+    var iq = pubsub.deleteIq(pubsub.channelNodeId(channel, node));
+    req.session.sendQuery(iq, function(reply) {
+      var error = reply.getChild('error');
+      if (reply.type == 'error' &&
+          !(error && error.getChild('item-not-found'))) {
+        api.reportXmppError(req, res, reply);
+      } else {
+        deleteNext();
+      }
+    });
+  }
+  deleteNext();
+}
+
+function logError(action, err) {
+  if (err) {
+    console.error('account: ' + action + ' failed: ' + err);
+  }
+}
+
+//// PUT /account/password /////////////////////////////////////////////////////
+
+function changePassword(req, res) {
+  var user = session.getUser(req.session);
+  if (!user) {
+    api.sendUnauthorized(res);
+    return;
+  }
+
   var password = req.body.password;
-  if (!username || !password) {
+  if (typeof password != 'string' || !password) {
     res.send(400);
     return;
   }
 
-  var client = new xmpp.Client({
-    jid: [username, '@', config.xmppDomain].join(''),
-    password: password,
-    register: true
+  var iq = registerIq(user).
+    c('username').t(user.split('@')[0]).up().
+    c('password').t(password).
+    root();
+
+  api.sendQuery(req, res, iq, function() {
+    // Sessions opened with the old password can't be resumed anymore, so
+    // end them now rather than when they are used next. API keys and
+    // webhooks keep working with the new password.
+    session.updatePassword(req.session, password);
+    session.endUserSessions(user, req.session.id, function(err) {
+      logError('ending sessions of ' + user, err);
+      apikeys.updatePassword(user, password, function(err) {
+        logError('updating API keys of ' + user, err);
+        webhooks.updatePassword(user, password, function(err) {
+          logError('updating webhooks of ' + user, err);
+          res.send(200);
+        });
+      });
+    });
   });
-  client.on('online', function() {
-    client.end();
-    res.send(200);
+}
+
+//// GET /account/keys /////////////////////////////////////////////////////////
+
+function listKeys(req, res) {
+  var user = session.getUser(req.session);
+  if (!user) {
+    api.sendUnauthorized(res);
+    return;
+  }
+
+  apikeys.list(user, function(err, records) {
+    if (err) {
+      res.send(500);
+      return;
+    }
+    res.contentType('json');
+    res.send(records.map(keyToJSON));
   });
-  client.on('error', function(err) {
-    res.send(503);
+}
+
+function keyToJSON(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    permissions: record.permissions,
+    created: iso8601.fromDate(new Date(record.created))
+  };
+}
+
+//// POST /account/keys ////////////////////////////////////////////////////////
+
+function createKey(req, res) {
+  var user = session.getUser(req.session);
+  if (!user) {
+    api.sendUnauthorized(res);
+    return;
+  }
+
+  var name = req.body.name;
+  var permissions = apikeys.parsePermissions(req.body.permissions);
+  if (!permissions || (name !== undefined && typeof name != 'string')) {
+    res.send(400);
+    return;
+  }
+
+  var password = session.getPassword(req.session);
+  if (password === null) {
+    res.send(403);
+    return;
+  }
+
+  apikeys.create(user, password, name, permissions,
+    function(err, record, key) {
+      if (err) {
+        res.send(500);
+        return;
+      }
+      var result = keyToJSON(record);
+      result.key = key;
+      res.header('Location', '/account/keys/' + record.id);
+      res.contentType('json');
+      res.send(result, 201);
+    });
+}
+
+//// DELETE /account/keys/<id> /////////////////////////////////////////////////
+
+function deleteKey(req, res) {
+  var user = session.getUser(req.session);
+  if (!user) {
+    api.sendUnauthorized(res);
+    return;
+  }
+
+  apikeys.remove(user, req.params.id, function(err, found) {
+    if (err) {
+      res.send(500);
+    } else if (!found) {
+      res.send(404);
+    } else {
+      session.endKeySession(req.params.id);
+      res.send(200);
+    }
   });
 }
@@ -0,0 +1,65 @@
+/*
+ * Copyright 2012 Denis Washington <denisw@online.de>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// channel.js:
+// Handles requests for creating a user's channel (/<channel>).
+
+var api = require('./util/api');
+var channels = require('./util/channels');
+var oauth = require('./util/oauth');
+var ratelimit = require('./util/ratelimit');
+var session = require('./util/session');
+
+/**
+ * Registers resource URL handlers. As /<channel> matches every path
+ * with a single segment, this must be called after all other handlers
+ * have been registered. API keys can't create nodes (see apikeys.js), so
+ * they can't be used here.
+ */
+exports.setup = function(app) {
+  app.post('/:channel',
+           api.refuseApiKeys,
+           oauth.requireScope('publish'),
+           session.provider,
+           ratelimit.limit('publishes'),
+           createChannel);
+};
+
+//// POST /<channel> ///////////////////////////////////////////////////////////
+
+function createChannel(req, res) {
+  var user = session.getUser(req.session);
+  if (!user) {
+    api.sendUnauthorized(res);
+    return;
+  }
+
+  // Users can only create their own channel
+  var channel = req.params.channel;
+  if (channel != user) {
+    res.send(403);
+    return;
+  }
+
+  channels.create(req.session, channel, function(errorStanza, created) {
+    if (errorStanza) {
+      api.reportXmppError(req, res, errorStanza);
+    } else {
+      res.contentType('json');
+      res.send({created: created}, created.length > 0 ? 201 : 200);
+    }
+  });
+}
@@ -15,8 +15,8 @@
  */
 
 // content_feed.js:
-// Handles requests related to channel node feeds
-// (/<channel>/content/<node>).
+// Handles requests related to channel node feeds and the creation and
+// deletion of channel nodes (/<channel>/content/<node>).
 
 var xmpp = require('node-xmpp');
 var xml = require('libxmljs');
@@ -24,23 +24,44 @@ var iso8601 = require('iso8601');
 var api = require('./util/api');
 var atom = require('./util/atom');
 var config = require('./util/config');
+var oauth = require('./util/oauth');
 var pubsub = require('./util/pubsub');
+var push = require('./util/push');
+var ratelimit = require('./util/ratelimit');
 var session = require('./util/session');
+var websub = require('./util/websub');
 
 /**
  * Registers resource URL handlers.
  */
 exports.setup = function(app) {
   app.get('/:channel/content/:node',
+          oauth.requireScope('read'),
           session.provider,
+          ratelimit.limit('reads'),
           getNodeFeed);
   app.get('/:channel/next/:node',
+          oauth.requireScope('read'),
           session.provider,
+          ratelimit.limit('reads'),
           getNodeFeedNext);
   app.post('/:channel/content/:node',
            api.bodyReader,
+           oauth.requireScope('publish'),
            session.provider,
+           ratelimit.limit('publishes'),
            postToNodeFeed);
+  app.put('/:channel/content/:node',
+          api.bodyReader,
+          oauth.requireScope('publish'),
+          session.provider,
+          ratelimit.limit('publishes'),
+          createNode);
+  app.del('/:channel/content/:node',
+          oauth.requireScope('publish'),
+          session.provider,
+          ratelimit.limit('publishes'),
+          deleteNode);
 };
 
 //// GET /<channel>/content/<node> /////////////////////////////////////////////
@@ -49,9 +70,15 @@ function getNodeFeed(req, res) {
   var channel = req.params.channel;
   var node = req.params.node;
 
+  var cursors = parseCursors(req);
+  if (!cursors) {
+    res.send(400);
+    return;
+  }
+
   req.session.subscribe(pubsub.channelNodeId(channel, node),
     function(sub) {
-      requestNodeItems(req, res, channel, node, function(reply) {
+      requestNodeItems(req, res, channel, node, cursors, function(reply) {
         if (sub.items === undefined) {
           sub.items = [];
           sub.from = reply.attr('from');
@@ -68,8 +95,19 @@ function getNodeFeed(req, res) {
           sub.lastPublishedId = null;
         }
 
-        var feed = generateNodeFeed(channel, node, reply);
-        api.sendAtomResponse(req, res, feed.root());
+        var rsm = extractRSM(reply);
+        var links = getPagingLinks(req, channel, node, cursors, rsm);
+        links.hub = websub.hubUrl(req);
+        links.self = websub.topicUrl(req, channel, node);
+        addPagingHeaders(res, links, rsm);
+
+        var feed = generateNodeFeed(channel, node, reply, links);
+        if (req.query.thread == 'nested') {
+          atom.threadFeed(feed.root());
+          api.sendAtomResponse(req, res, feed.root(), {nested: true});
+        } else {
+          api.sendAtomResponse(req, res, feed.root());
+        }
       });
     },
     function(errstr) {
@@ -137,12 +175,11 @@ function getNodeFeedNext(req, res) {
       // if we get here, then it means since params were not provided, or
       //   the request was since the last known item
 
-      if (config.fanoutRealm) {
+      if (push.isEnabled()) {
         var foChannel = makeChannelName(req.session.jid + '_' + nodeId);
         api.sendHoldResponse(req, res, foChannel, prevId);
       } else {
-        var feed = api.generateNodeFeedFromEntries(channel, node, sub.from, []);
-        api.sendAtomResponse(req, res, feed.root());
+        waitForNodeItems(req, res, channel, node, sub);
       }
     },
     function(errstr) {
@@ -151,13 +188,158 @@ function getNodeFeedNext(req, res) {
   );
 }
 
-function requestNodeItems(req, res, channel, node, callback) {
+// Holds the request open until new items are published to the node, then
+// responds with them. If nothing arrives within config.longPollTimeout
+// seconds, an empty feed is returned. The session is retained meanwhile,
+// as it may expire before that.
+function waitForNodeItems(req, res, channel, node, sub) {
   var nodeId = pubsub.channelNodeId(channel, node);
-  var iq = pubsub.itemsIq(nodeId, req.query.max, req.query.after);
+  var waiting = true;
+  var listener = function(items) {
+    respond(items.map(function(item) { return item.entry; }));
+  };
+  var timeout = setTimeout(function() {
+    respond([]);
+  }, config.longPollTimeout * 1000);
+
+  function stopWaiting() {
+    if (waiting) {
+      waiting = false;
+      clearTimeout(timeout);
+      req.session.removeNodeEventListener(nodeId, 'items', listener);
+      req.session.release();
+    }
+  }
+
+  function respond(entries) {
+    stopWaiting();
+    var feed = api.generateNodeFeedFromEntries(channel, node, sub.from, entries);
+    api.sendAtomResponse(req, res, feed.root());
+  }
+
+  req.session.onNodeEvent(nodeId, 'items', listener);
+  req.session.retain();
+  req.on('close', stopWaiting);
+}
+
+function requestNodeItems(req, res, channel, node, cursors, callback) {
+  var nodeId = pubsub.channelNodeId(channel, node);
+  var iq = pubsub.itemsIq(nodeId, req.query.max, cursors.after,
+                          cursors.before);
   api.sendQuery(req, res, iq, callback);
 }
 
-function generateNodeFeed(channel, node, reply) {
+// Determines the RSM "after" and "before" item IDs of a request. They are
+// either passed as raw item IDs or as the opaque "cursor" of a paging
+// link (see getPagingLinks()). Returns null if the cursor is invalid or
+// combined with one of the other parameters.
+function parseCursors(req) {
+  var cursors = {after: req.query.after, before: req.query.before};
+  if (req.query.cursor === undefined) {
+    return cursors;
+  }
+  if (cursors.after !== undefined || cursors.before !== undefined) {
+    return null;
+  }
+
+  var decoded = decodeCursor(req.query.cursor);
+  if (!decoded) {
+    return null;
+  }
+  cursors[decoded.direction] = decoded.itemId;
+  return cursors;
+}
+
+// Reads the Result Set Management (XEP-0059) information of an <items/>
+// reply. 'index' and 'count' are undefined if the server didn't send them.
+function extractRSM(reply) {
+  var replydoc = xml.parseXmlString(reply.toString());
+  var ns = {p: pubsub.ns, r: pubsub.rsmNS};
+  var first = replydoc.get('/iq/p:pubsub/r:set/r:first', ns);
+  var last = replydoc.get('/iq/p:pubsub/r:set/r:last', ns);
+  var count = replydoc.get('/iq/p:pubsub/r:set/r:count', ns);
+  var index = first ? first.attr('index') : null;
+
+  return {
+    first: first ? first.text() : undefined,
+    last: last ? last.text() : undefined,
+    index: index ? parseInt(index.value(), 10) : undefined,
+    count: count ? parseInt(count.text(), 10) : undefined,
+    itemCount: replydoc.find('/iq/p:pubsub/p:items/p:item', ns).length
+  };
+}
+
+// Determines the URIs of the next and previous feed pages (as used in
+// RFC 5005 "paged feeds"). The pages are identified by opaque cursors
+// holding the paging direction and the RSM item ID to start from.
+function getPagingLinks(req, channel, node, cursors, rsm) {
+  var links = {};
+  if (!rsm.first) {
+    return links;
+  }
+
+  var index = rsm.index;
+  if (index === undefined && !cursors.after && !cursors.before) {
+    index = 0;
+  }
+
+  if (rsm.count === undefined || index === undefined ||
+      index + rsm.itemCount < rsm.count) {
+    links.next =
+      getPageUri(req, channel, node, req.query.max, 'after', rsm.last);
+  }
+  if (index === undefined || index > 0) {
+    links.previous =
+      getPageUri(req, channel, node, req.query.max, 'before', rsm.first);
+  }
+
+  return links;
+}
+
+function getPageUri(req, channel, node, max, direction, itemId) {
+  var query = ['cursor=' + encodeCursor(direction, itemId)];
+  if (max) {
+    query.unshift('max=' + encodeURIComponent(max));
+  }
+  return websub.topicUrl(req, channel, node) + '?' + query.join('&');
+}
+
+// Encodes the paging direction ("after" or "before") and an item ID as
+// URL-safe base64 (RFC 4648, section 5) without padding.
+function encodeCursor(direction, itemId) {
+  return new Buffer(direction + ':' + itemId, 'utf8').toString('base64').
+    replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Returns the 'direction' and 'itemId' encoded in a page cursor, or null
+// if the cursor wasn't created by encodeCursor().
+function decodeCursor(cursor) {
+  if (typeof cursor != 'string' || !/^[A-Za-z0-9_-]+$/.test(cursor)) {
+    return null;
+  }
+  var base64 = cursor.replace(/-/g, '+').replace(/_/g, '/');
+  var decoded = new Buffer(base64, 'base64').toString('utf8');
+  var match = /^(after|before):([\s\S]+)$/.exec(decoded);
+  if (!match || encodeCursor(match[1], match[2]) != cursor) {
+    return null;
+  }
+  return {direction: match[1], itemId: match[2]};
+}
+
+function addPagingHeaders(res, links, rsm) {
+  var linkValues = [];
+  for (var rel in links) {
+    linkValues.push('<' + links[rel] + '>; rel="' + rel + '"');
+  }
+  if (linkValues.length > 0) {
+    res.header('Link', linkValues.join(', '));
+  }
+  if (rsm.count !== undefined) {
+    res.header('X-Total-Count', String(rsm.count));
+  }
+}
+
+function generateNodeFeed(channel, node, reply, links) {
   var feed = xml.Document();
   feed.node('feed').namespace(atom.ns);
   feed.root().node('title', channel + ' ' + node);
@@ -167,15 +349,35 @@ function generateNodeFeed(channel, node, reply) {
   feed.root().node('id', queryURI);
 
   var replydoc = xml.parseXmlString(reply.toString());
-  var updated = atom.get(replydoc, '//atom:entry[1]/atom:updated');
+  var updated = getNewestUpdated(replydoc);
   if (updated) {
     feed.root().node('updated', updated.text());
   }
 
+  for (var rel in links || {}) {
+    feed.root().node('link').attr({rel: rel, href: links[rel]});
+  }
+
   populateNodeFeed(feed, replydoc);
   return feed;
 }
 
+function getNewestUpdated(replydoc) {
+  var dates = replydoc.find('//atom:entry/atom:updated', {atom: atom.ns});
+  var newest = null;
+  var newestTime;
+
+  dates.forEach(function(date) {
+    var time = iso8601.toDate(date.text()).getTime();
+    if (!newest || time > newestTime) {
+      newest = date;
+      newestTime = time;
+    }
+  });
+
+  return newest;
+}
+
 function getLatestEntry(reply) {
   var replydoc = xml.parseXmlString(reply.toString());
   var entries = replydoc.find('/iq/p:pubsub/p:items/p:item/a:entry', {
@@ -203,7 +405,7 @@ function populateNodeFeed(feed, replydoc) {
 //// POST /<channel>/content/<node> ////////////////////////////////////////////
 
 function postToNodeFeed(req, res) {
-  var entry = parseRequestBody(req, res);
+  var entry = api.parseRequestBody(req, res);
   if (!entry) {
     return;
   }
@@ -211,7 +413,7 @@ function postToNodeFeed(req, res) {
   var channel = req.params.channel;
   var node = req.params.node;
 
-  publishNodeItem(req, res, channel, node, entry, function(reply) {
+  api.publishNodeItem(req, res, channel, node, null, entry, function(reply) {
     var itemId = getPublishedItemId(reply);
     if (!itemId) {
       res.send(500);
@@ -223,36 +425,90 @@ function postToNodeFeed(req, res) {
   });
 }
 
-function parseRequestBody(req, res) {
+function getPublishedItemId(reply) {
   try {
-    if (req.is('json') || req.body.toString().match(/^\w*\{/)) {
-      return atom.fromJSON(JSON.parse(req.body));
-    } else {
-      return xml.parseXmlString(req.body);
-    }
+    return reply.
+      getChild('pubsub').
+      getChild('publish').
+      getChild('item').attr('id');
   } catch (e) {
-    res.send(400);
     return null;
   }
 }
 
-function publishNodeItem(req, res, channel, node, entry, callback) {
+function getNodeItemUri(channel, node, item) {
+  return '/' + [channel, 'content', node, item].join('/');
+}
+
+//// PUT /<channel>/content/<node> /////////////////////////////////////////////
+
+// Access models a node may be created with (see section 4.5 of XEP-0060)
+var accessModels = ['open', 'authorize', 'whitelist', 'presence', 'roster'];
+
+function createNode(req, res) {
+  if (!session.getUser(req.session)) {
+    api.sendUnauthorized(res);
+    return;
+  }
+
+  var metadata = parseNodeMetadata(req);
+  if (!metadata) {
+    res.send(400);
+    return;
+  }
+
+  var channel = req.params.channel;
+  var node = req.params.node;
   var nodeId = pubsub.channelNodeId(channel, node);
-  var iq = pubsub.publishIq(nodeId, entry.toString());
-  api.sendQuery(req, res, iq, callback);
+  var fields = pubsub.configFields(metadata);
+  var iq = pubsub.createIq(nodeId,
+                           Object.keys(fields).length > 0 ? fields : null);
+
+  api.sendQuery(req, res, iq, function(reply) {
+    res.header('Location', '/' + [channel, 'content', node].join('/'));
+    res.send(201);
+  });
 }
 
-function getPublishedItemId(reply) {
+// Returns the initial node metadata in the request body (which may be
+// empty), or null if it is invalid.
+function parseNodeMetadata(req) {
+  var body = req.body ? req.body.toString() : '';
+  if (!body.trim()) {
+    return {};
+  }
+
+  var metadata;
   try {
-    return reply.
-      getChild('pubsub').
-      getChild('publish').
-      getChild('item').attr('id');
+    metadata = JSON.parse(body);
   } catch (e) {
     return null;
   }
+
+  if (!metadata || typeof metadata != 'object' ||
+      !isOptionalString(metadata.title) ||
+      !isOptionalString(metadata.description) ||
+      (metadata.access_model !== undefined &&
+       accessModels.indexOf(metadata.access_model) < 0)) {
+    return null;
+  }
+  return metadata;
 }
 
-function getNodeItemUri(channel, node, item) {
-  return '/' + [channel, 'content', node, item].join('/');
+function isOptionalString(value) {
+  return value === undefined || typeof value == 'string';
+}
+
+//// DELETE /<channel>/content/<node> //////////////////////////////////////////
+
+function deleteNode(req, res) {
+  if (!session.getUser(req.session)) {
+    api.sendUnauthorized(res);
+    return;
+  }
+
+  var nodeId = pubsub.channelNodeId(req.params.channel, req.params.node);
+  api.sendQuery(req, res, pubsub.deleteIq(nodeId), function(reply) {
+    res.send(200);
+  });
 }
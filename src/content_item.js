@@ -21,7 +21,9 @@
 var xml = require('libxmljs');
 var api = require('./util/api');
 var atom = require('./util/atom');
+var oauth = require('./util/oauth');
 var pubsub = require('./util/pubsub');
+var ratelimit = require('./util/ratelimit');
 var session = require('./util/session');
 
 /**
@@ -29,8 +31,26 @@ var session = require('./util/session');
  */
 exports.setup = function(app) {
   app.get('/:channel/content/:node/:item',
+          oauth.requireScope('read'),
           session.provider,
+          ratelimit.limit('reads'),
           getNodeItem);
+  app.get('/:channel/content/:node/:item/replies',
+          oauth.requireScope('read'),
+          session.provider,
+          ratelimit.limit('reads'),
+          getNodeItemReplies);
+  app.put('/:channel/content/:node/:item',
+          api.bodyReader,
+          oauth.requireScope('publish'),
+          session.provider,
+          ratelimit.limit('publishes'),
+          putNodeItem);
+  app.del('/:channel/content/:node/:item',
+          oauth.requireScope('publish'),
+          session.provider,
+          ratelimit.limit('publishes'),
+          deleteNodeItem);
 };
 
 //// GET /<channel>/content/<node>/<id> ////////////////////////////////////////
@@ -65,3 +85,75 @@ function extractEntry(reply) {
   });
 }
 
+//// GET /<channel>/content/<node>/<id>/replies ////////////////////////////////
+
+function getNodeItemReplies(req, res) {
+  var channel = req.params.channel;
+  var node = req.params.node;
+  var itemId = req.params.item;
+
+  requestNodeItem(req, res, channel, node, itemId, function(reply) {
+    var parent = extractEntry(reply);
+    if (!parent) {
+      res.send(404);
+      return;
+    }
+    requestReplies(req, res, channel, node, itemId, function(reply) {
+      var replies = atom.sortByDate(extractEntries(reply));
+      var entries = [parent].concat(replies);
+      var feed = api.generateNodeFeedFromEntries(
+        channel, node, reply.attr('from'), entries);
+      api.sendAtomResponse(req, res, feed.root());
+    });
+  });
+}
+
+function requestReplies(req, res, channel, node, item, callback) {
+  var nodeId = pubsub.channelNodeId(channel, node);
+  var iq = pubsub.repliesIq(nodeId, item);
+  api.sendQuery(req, res, iq, callback);
+}
+
+function extractEntries(reply) {
+  var replyDoc = xml.parseXmlString(reply.toString());
+  return replyDoc.find('/iq/p:pubsub/p:items/p:item/a:entry', {
+    p: pubsub.ns,
+    a: atom.ns
+  });
+}
+
+//// PUT /<channel>/content/<node>/<id> ////////////////////////////////////////
+
+function putNodeItem(req, res) {
+  var entry = api.parseRequestBody(req, res);
+  if (!entry) {
+    return;
+  }
+
+  var channel = req.params.channel;
+  var node = req.params.node;
+  var itemId = req.params.item;
+
+  atom.setUpdated(entry.root(), new Date());
+  api.publishNodeItem(req, res, channel, node, itemId, entry, function() {
+    getNodeItem(req, res);
+  });
+}
+
+//// DELETE /<channel>/content/<node>/<id> /////////////////////////////////////
+
+function deleteNodeItem(req, res) {
+  var channel = req.params.channel;
+  var node = req.params.node;
+  var itemId = req.params.item;
+
+  retractNodeItem(req, res, channel, node, itemId, function() {
+    res.send(200);
+  });
+}
+
+function retractNodeItem(req, res, channel, node, item, callback) {
+  var nodeId = pubsub.channelNodeId(channel, node);
+  var iq = pubsub.retractIq(nodeId, item);
+  api.sendQuery(req, res, iq, callback);
+}
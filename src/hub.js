@@ -0,0 +1,76 @@
+/*
+ * Copyright 2012 Denis Washington <denisw@online.de>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// hub.js:
+// Handles WebSub subscription requests (/hub).
+
+var connect = require('connect');
+var httpclient = require('./util/httpclient');
+var ratelimit = require('./util/ratelimit');
+var session = require('./util/session');
+var websub = require('./util/websub');
+
+/**
+ * Registers resource URL handlers.
+ */
+exports.setup = function(app) {
+  app.post('/hub',
+           connect.urlencoded(),
+           session.anonymousProvider,
+           ratelimit.limit('publishes'),
+           handleHubRequest);
+};
+
+//// POST /hub /////////////////////////////////////////////////////////////////
+
+function handleHubRequest(req, res) {
+  var params = req.body || {};
+  var mode = params['hub.mode'];
+  var callback = params['hub.callback'];
+  var topic = params['hub.topic'];
+
+  if ((mode != 'subscribe' && mode != 'unsubscribe') ||
+      !httpclient.isValidCallbackUrl(callback) ||
+      typeof topic != 'string') {
+    res.send(400);
+    return;
+  }
+
+  var target = websub.parseTopicUrl(topic);
+  if (!target) {
+    res.send(400);
+    return;
+  }
+
+  var leaseSeconds = parseInt(params['hub.lease_seconds'], 10);
+  var request = {
+    callback: callback,
+    topic: topic,
+    channel: target.channel,
+    node: target.node,
+    leaseSeconds: leaseSeconds > 0 ? leaseSeconds : null,
+    secret: params['hub.secret'] || null,
+    hubUrl: websub.hubUrl(req)
+  };
+
+  res.send(202);
+
+  if (mode == 'subscribe') {
+    websub.subscribe(req.session, request);
+  } else {
+    websub.unsubscribe(request);
+  }
+}
@@ -24,24 +24,36 @@ var https = require('https');
 var url = require('url');
 var xmpp = require('node-xmpp');
 var api = require('./util/api');
+var oauth = require('./util/oauth');
+var ratelimit = require('./util/ratelimit');
 var session = require('./util/session');
 
 /**
- * Registers resource URL handlers.
+ * Registers resource URL handlers. The media server trusts every request
+ * confirmed by the session, so API keys can't be used here.
  */
 exports.setup = function(app) {
   app.post('/:channel/media',
            api.bodyReader,
+           api.refuseApiKeys,
+           oauth.requireScope('publish'),
            session.provider,
+           ratelimit.limit('publishes'),
            api.mediaServerDiscoverer,
            proxyToMediaServer);
   app.get('/:channel/media/:id',
+          api.refuseApiKeys,
+          oauth.requireScope('read'),
           session.provider,
+          ratelimit.limit('reads'),
           api.mediaServerDiscoverer,
           proxyToMediaServer);
   app.put('/:channel/media/:id',
           api.bodyReader,
+          api.refuseApiKeys,
+          oauth.requireScope('publish'),
           session.provider,
+          ratelimit.limit('publishes'),
           api.mediaServerDiscoverer,
           proxyToMediaServer);
 };
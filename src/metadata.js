@@ -20,7 +20,9 @@
 
 var xml = require('libxmljs');
 var api = require('./util/api');
+var oauth = require('./util/oauth');
 var pubsub = require('./util/pubsub');
+var ratelimit = require('./util/ratelimit');
 var session = require('./util/session');
 
 /**
@@ -28,11 +30,15 @@ var session = require('./util/session');
  */
 exports.setup = function(app) {
   app.get('/:channel/metadata/:node',
+          oauth.requireScope('read'),
           session.provider,
+          ratelimit.limit('reads'),
           getNodeMetadata);
   app.post('/:channel/metadata/:node',
            api.bodyReader,
+           oauth.requireScope('publish'),
            session.provider,
+           ratelimit.limit('publishes'),
            setNodeMetadata);
 };
 
@@ -45,7 +51,7 @@ function getNodeMetadata(req, res) {
   requestNodeMetadata(req, res, channel, node, function(reply) {
     var body = replyToJSON(reply);
     res.contentType('json');
-    res.send(body);
+    api.sendConditional(req, res, body);
   });
 }
 
@@ -57,28 +63,7 @@ function requestNodeMetadata(req, res, channel, node, callback) {
 
 function replyToJSON(reply) {
   var replydoc = xml.parseXmlString(reply.toString());
-
-  var title = getOption(replydoc, 'pubsub#title');
-  var description = getOption(replydoc, 'pubsub#description');
-  var accessModel = getOption(replydoc, 'pubsub#access_model');
-  var creationDate = getOption(replydoc, 'pubsub#creation_date');
-  var type = getOption(replydoc, 'buddycloud#channel_type');
-  var affiliation = getOption(replydoc, 'buddycloud#default_affiliation');
-
-  return {
-    title: title,
-    description: description,
-    access_model: accessModel,
-    creation_date: creationDate,
-    channel_type: type,
-    default_affiliation: affiliation
-  };
-}
-
-function getOption(reply, name) {
-  var query = '//x:field[@var="' + name + '"]/x:value';
-  var option = reply.get(query, {x: 'jabber:x:data'});
-  return option ? option.text() : undefined;
+  return api.metadataToJSON(replydoc);
 }
 
 //// POST /<channel>/metadata/<node> ///////////////////////////////////////////
@@ -95,30 +80,6 @@ function setNodeMetadata(req, res) {
 
 function configureNode(req, res, channel, node, fields, callback) {
   var nodeId = pubsub.channelNodeId(channel, node);
-  var iq = makeConfigureIq(nodeId, fields);
+  var iq = pubsub.configureIq(nodeId, pubsub.configFields(fields));
   api.sendQuery(req, res, iq, callback);
 }
-
-function makeConfigureIq(node, fields) {
-  var pfields = {};
-
-  for (var field in fields) {
-    var pfield = pubsubFieldName(field);
-    if (!pfield) {
-      continue;
-    } else {
-      pfields[pfield] = fields[field];
-    }
-  }
-
-  return pubsub.configureIq(node, pfields);
-}
-
-function pubsubFieldName(field) {
-  switch (field) {
-  case 'title':        return 'pubsub#title';
-  case 'description':  return 'pubsub#description';
-  case 'access_model': return 'pubsub#access_model';
-  default:             return null;
-  }
-}
@@ -0,0 +1,265 @@
+/*
+ * Copyright 2012 Denis Washington <denisw@online.de>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// oauth.js:
+// Implements the OAuth 2.0 authorization code flow for third-party apps
+// (/oauth/authorize, /oauth/token).
+
+var connect = require('connect');
+var url = require('url');
+var auth = require('./util/auth');
+var config = require('./util/config');
+var oauth = require('./util/oauth');
+var ratelimit = require('./util/ratelimit');
+var session = require('./util/session');
+
+/**
+ * Registers resource URL handlers.
+ */
+exports.setup = function(app) {
+  app.get('/oauth/authorize',
+          showAuthorizationPage);
+  app.post('/oauth/authorize',
+           ratelimit.limit('sessions'),
+           connect.urlencoded(),
+           handleAuthorization);
+  app.post('/oauth/token',
+           connect.urlencoded(),
+           issueTokens);
+};
+
+//// GET /oauth/authorize //////////////////////////////////////////////////////
+
+function showAuthorizationPage(req, res) {
+  var request = checkAuthorizationRequest(req.query, res);
+  if (request) {
+    sendAuthorizationPage(res, request, null);
+  }
+}
+
+// Validates the parameters of an authorization request. If they are
+// invalid, an error is sent (if possible, by redirecting back to the
+// client) and null is returned.
+function checkAuthorizationRequest(params, res) {
+  var client = oauth.getClient(params.client_id);
+  var redirectUri = client ?
+    oauth.getRedirectUri(client, params.redirect_uri) : null;
+  if (!redirectUri) {
+    // Never redirect to unregistered URIs
+    res.send(400);
+    return null;
+  }
+
+  var request = {
+    clientId: params.client_id,
+    client: client,
+    redirectUri: redirectUri,
+    // Must be repeated when exchanging the authorization code
+    requestedRedirectUri: params.redirect_uri || undefined,
+    state: params.state
+  };
+
+  if (params.response_type != 'code') {
+    redirectWithError(res, request, 'unsupported_response_type');
+    return null;
+  }
+
+  request.scope = oauth.parseScope(params.scope);
+  if (!request.scope) {
+    redirectWithError(res, request, 'invalid_scope');
+    return null;
+  }
+
+  return request;
+}
+
+function sendAuthorizationPage(res, request, message, status) {
+  var clientName = escapeHtml(request.client.name || request.clientId);
+  var scopeItems = request.scope.split(' ').map(function(scope) {
+    return '<li>' + escapeHtml(oauth.scopes[scope]) + '</li>';
+  });
+
+  var hidden = {
+    response_type: 'code',
+    client_id: request.clientId,
+    redirect_uri: request.requestedRedirectUri,
+    scope: request.scope,
+    state: request.state
+  };
+  var hiddenFields = [];
+  for (var name in hidden) {
+    if (hidden[name] !== undefined) {
+      hiddenFields.push('<input type="hidden" name="' + name + '" value="' +
+                        escapeHtml(hidden[name]) + '">');
+    }
+  }
+
+  var page = [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head><title>Authorize ' + clientName + '</title></head>',
+    '<body>',
+    '<h1>Authorize ' + clientName + '</h1>',
+    '<p>' + clientName + ' would like to:</p>',
+    '<ul>' + scopeItems.join('') + '</ul>',
+    message ? '<p><strong>' + escapeHtml(message) + '</strong></p>' : '',
+    '<form method="post" action="/oauth/authorize">',
+    hiddenFields.join(''),
+    '<p><label>Username <input name="username"></label></p>',
+    '<p><label>Password <input name="password" type="password"></label></p>',
+    '<p>',
+    '<button name="decision" value="allow">Allow</button>',
+    '<button name="decision" value="deny">Deny</button>',
+    '</p>',
+    '</form>',
+    '</body>',
+    '</html>'
+  ].join('\n');
+
+  res.header('X-Frame-Options', 'DENY');
+  res.contentType('html');
+  res.send(page, status || 200);
+}
+
+function escapeHtml(s) {
+  return String(s).
+    replace(/&/g, '&amp;').
+    replace(/</g, '&lt;').
+    replace(/>/g, '&gt;').
+    replace(/"/g, '&quot;');
+}
+
+function redirectWithError(res, request, error) {
+  redirect(res, request, {error: error});
+}
+
+function redirect(res, request, params) {
+  var target = url.parse(request.redirectUri, true);
+  for (var key in params) {
+    target.query[key] = params[key];
+  }
+  if (request.state !== undefined) {
+    target.query.state = request.state;
+  }
+  delete target.search;
+  res.redirect(url.format(target));
+}
+
+//// POST /oauth/authorize /////////////////////////////////////////////////////
+
+function handleAuthorization(req, res) {
+  var params = req.body || {};
+  var request = checkAuthorizationRequest(params, res);
+  if (!request) {
+    return;
+  }
+
+  if (params.decision != 'allow') {
+    redirectWithError(res, request, 'access_denied');
+    return;
+  }
+  if (!params.username || !params.password) {
+    sendAuthorizationPage(res, request, 'Please enter your credentials.');
+    return;
+  }
+
+  var user = auth.qualifyUser(params.username);
+  var password = params.password;
+  session.login(req, user, password, function(err, newSession, lockedFor) {
+    if (err) {
+      res.send(500);
+    } else if (lockedFor) {
+      res.header('Retry-After', String(lockedFor));
+      sendAuthorizationPage(res, request,
+                            'Too many failed logins. Please try again later.',
+                            429);
+    } else if (!newSession) {
+      sendAuthorizationPage(res, request, 'Invalid username or password.');
+    } else {
+      var expires = Math.floor(Date.now() / 1000) +
+                    config.oauthRefreshTokenLifetime;
+      session.enableTokenAccess(newSession, expires);
+
+      var grant = {
+        clientId: request.clientId,
+        user: user,
+        sessionId: newSession.id,
+        scope: request.scope,
+        expires: expires
+      };
+      var code = oauth.createCode(grant, request.requestedRedirectUri);
+      redirect(res, request, {code: code});
+    }
+  });
+}
+
+//// POST /oauth/token /////////////////////////////////////////////////////////
+
+function issueTokens(req, res) {
+  var params = req.body || {};
+  var client = oauth.getClient(params.client_id);
+  if (!client || !client.secret || client.secret !== params.client_secret) {
+    sendTokenError(res, 401, 'invalid_client');
+    return;
+  }
+
+  var grant;
+  if (params.grant_type == 'authorization_code') {
+    grant = oauth.redeemCode(params.code, params.client_id,
+                             params.redirect_uri);
+  } else if (params.grant_type == 'refresh_token') {
+    grant = oauth.redeemRefreshToken(params.refresh_token, params.client_id);
+  } else {
+    sendTokenError(res, 400, 'unsupported_grant_type');
+    return;
+  }
+
+  if (!grant) {
+    sendTokenError(res, 400, 'invalid_grant');
+    return;
+  }
+
+  session.isTokenAccessEnabled(grant.sessionId, function(err, enabled) {
+    if (err) {
+      res.send(500);
+    } else if (!enabled) {
+      // The session was ended (e.g. by logging out)
+      sendTokenError(res, 400, 'invalid_grant');
+    } else {
+      sendTokens(res, grant);
+    }
+  });
+}
+
+function sendTokens(res, grant) {
+  var issued = auth.issueToken(grant.user, grant.sessionId, grant.scope);
+  res.header('Cache-Control', 'no-store');
+  res.header('Pragma', 'no-cache');
+  res.contentType('json');
+  res.send({
+    access_token: issued.token,
+    token_type: 'Bearer',
+    expires_in: issued.expires - Math.floor(Date.now() / 1000),
+    refresh_token: oauth.createRefreshToken(grant),
+    scope: grant.scope
+  });
+}
+
+function sendTokenError(res, status, error) {
+  res.header('Cache-Control', 'no-store');
+  res.contentType('json');
+  res.send({error: error}, status);
+}
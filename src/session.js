@@ -0,0 +1,137 @@
+/*
+ * Copyright 2012 Denis Washington <denisw@online.de>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// session.js:
+// Handles login and logout with bearer tokens (/session) and the
+// management of a user's sessions (/sessions, /sessions/<id>).
+
+var iso8601 = require('iso8601');
+var api = require('./util/api');
+var auth = require('./util/auth');
+var oauth = require('./util/oauth');
+var session = require('./util/session');
+
+/**
+ * Registers resource URL handlers.
+ */
+exports.setup = function(app) {
+  app.post('/session',
+           requireCredentials,
+           session.provider,
+           login);
+  app.del('/session',
+          session.provider,
+          logout);
+  app.get('/sessions',
+          oauth.requireScope('account'),
+          session.provider,
+          listSessions);
+  app.del('/sessions/:id',
+          oauth.requireScope('account'),
+          session.provider,
+          deleteSession);
+};
+
+//// POST /session /////////////////////////////////////////////////////////////
+
+// Makes sure that session.provider creates a new session, which verifies
+// the supplied password by logging into the XMPP server.
+function requireCredentials(req, res, next) {
+  if (!req.user || req.password === undefined) {
+    api.sendUnauthorized(res);
+  } else if (req.header('X-Session-Id')) {
+    res.send(400);
+  } else {
+    next();
+  }
+}
+
+function login(req, res) {
+  var issued = auth.issueToken(req.user, req.session.id);
+  session.enableTokenAccess(req.session, issued.expires);
+
+  res.contentType('json');
+  res.send({
+    access_token: issued.token,
+    token_type: 'Bearer',
+    expires_in: issued.expires - Math.floor(Date.now() / 1000)
+  });
+}
+
+//// DELETE /session ///////////////////////////////////////////////////////////
+
+function logout(req, res) {
+  if (!req.session.id) {
+    api.sendUnauthorized(res);
+    return;
+  }
+
+  session.endSession(req.session.id, function(err) {
+    session.clearCookies(res);
+    res.send(err ? 500 : 200);
+  });
+}
+
+//// GET /sessions /////////////////////////////////////////////////////////////
+
+function listSessions(req, res) {
+  var user = session.getUser(req.session);
+  if (!user) {
+    api.sendUnauthorized(res);
+    return;
+  }
+
+  session.listSessions(user, function(err, sessions) {
+    if (err) {
+      res.send(500);
+      return;
+    }
+
+    res.contentType('json');
+    res.send(sessions.map(function(info) {
+      return {
+        id: info.id,
+        created: iso8601.fromDate(new Date(info.created)),
+        lastUsed: iso8601.fromDate(new Date(info.lastUsed)),
+        userAgent: info.userAgent,
+        address: info.address,
+        current: info.id == req.session.id
+      };
+    }));
+  });
+}
+
+//// DELETE /sessions/<id> /////////////////////////////////////////////////////
+
+function deleteSession(req, res) {
+  var user = session.getUser(req.session);
+  if (!user) {
+    api.sendUnauthorized(res);
+    return;
+  }
+
+  session.getSessionInfo(req.params.id, function(err, info) {
+    if (err) {
+      res.send(500);
+    } else if (!info || info.user != user) {
+      res.send(404);
+    } else {
+      session.endSession(info.id, function(err) {
+        res.send(err ? 500 : 200);
+      });
+    }
+  });
+}
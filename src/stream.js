@@ -0,0 +1,159 @@
+/*
+ * Copyright 2012 Denis Washington <denisw@online.de>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// stream.js:
+// Handles requests for real-time node update streams
+// (/<channel>/stream/<node>).
+
+var atom = require('./util/atom');
+var oauth = require('./util/oauth');
+var pubsub = require('./util/pubsub');
+var ratelimit = require('./util/ratelimit');
+var session = require('./util/session');
+
+// Interval (in seconds) in which comments are sent to keep the
+// connection alive, and the session is touched (more often if sessions
+// expire sooner). The session is also retained while it is streamed to,
+// so that its XMPP connection stays open even if it expires meanwhile.
+var heartbeatInterval = 30;
+
+/**
+ * Registers resource URL handlers.
+ */
+exports.setup = function(app) {
+  app.get('/:channel/stream/:node',
+          oauth.requireScope('read'),
+          session.provider,
+          ratelimit.limit('reads'),
+          streamNodeItems);
+};
+
+//// GET /<channel>/stream/<node> //////////////////////////////////////////////
+
+function streamNodeItems(req, res) {
+  var nodeId = pubsub.channelNodeId(req.params.channel, req.params.node);
+  var format = req.query.format == 'json' ? 'json' : 'atom';
+
+  req.session.subscribe(nodeId,
+    function(sub) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+      });
+
+      var lastEventId = req.header('Last-Event-ID');
+      if (lastEventId) {
+        sendEvents(res, getItemsSince(sub, lastEventId), format);
+      }
+
+      var streamSession = null;
+      var closed = false;
+      var listener = function(items) {
+        sendEvents(res, items, format);
+      };
+
+      function attach(session) {
+        streamSession = session;
+        session.onNodeEvent(nodeId, 'items', listener);
+        session.onReplaced(moveTo);
+        session.retain();
+      }
+
+      function detach() {
+        streamSession.removeNodeEventListener(nodeId, 'items', listener);
+        streamSession.removeReplacedListener(moveTo);
+        streamSession.release();
+      }
+
+      // Pooled anonymous sessions are replaced if their connection hangs
+      // (see anonpool.js), so the stream continues on the new session.
+      function moveTo(replacement) {
+        replacement.subscribe(nodeId,
+          function() {
+            if (!closed) {
+              detach();
+              attach(replacement);
+            }
+          },
+          function(errstr) {
+            stop();
+            res.end();
+          }
+        );
+      }
+
+      function stop() {
+        if (!closed) {
+          closed = true;
+          clearInterval(heartbeat);
+          detach();
+        }
+      }
+
+      attach(req.session);
+
+      var heartbeat = setInterval(function() {
+        streamSession.touch();
+        res.write(':\n\n');
+      }, session.touchInterval(heartbeatInterval) * 1000);
+
+      req.on('close', stop);
+    },
+    function(errstr) {
+      res.send(500);
+    }
+  );
+}
+
+// Returns the buffered items of a subscription which were received after
+// the item with the passed event ID.
+function getItemsSince(sub, eventId) {
+  if (!sub.items) {
+    return [];
+  }
+  for (var i = sub.items.length - 1; i >= 0; --i) {
+    if (getEventId(sub.items[i].id) == eventId) {
+      return sub.items.slice(i + 1);
+    }
+  }
+  if (sub.prevId && getEventId(sub.prevId) == eventId) {
+    return sub.items;
+  }
+  return [];
+}
+
+function getEventId(itemId) {
+  return itemId.id + '_' + itemId.time;
+}
+
+function sendEvents(res, items, format) {
+  items.forEach(function(item) {
+    atom.normalizeEntry(item.entry);
+    var data;
+    if (format == 'json') {
+      data = JSON.stringify(atom.toJSON(item.entry));
+    } else {
+      data = item.entry.toString();
+    }
+
+    res.write('id: ' + getEventId(item.id) + '\n');
+    data.split('\n').forEach(function(line) {
+      res.write('data: ' + line + '\n');
+    });
+    res.write('\n');
+  });
+}
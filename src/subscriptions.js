@@ -22,7 +22,9 @@ var connect = require('connect');
 var xml = require('libxmljs');
 var api = require('./util/api');
 var config = require('./util/config');
+var oauth = require('./util/oauth');
 var pubsub = require('./util/pubsub');
+var ratelimit = require('./util/ratelimit');
 var session = require('./util/session');
 
 /**
@@ -30,14 +32,20 @@ var session = require('./util/session');
  */
 exports.setup = function(app) {
   app.get('/subscribed',
+          oauth.requireScope('read'),
           session.provider,
+          ratelimit.limit('reads'),
           getUserSubscriptions);
   app.post('/subscribed',
            connect.json(),
+           oauth.requireScope('subscribe'),
            session.provider,
+           ratelimit.limit('publishes'),
            changeUserSubscriptions);
   app.get('/:channel/subscribers/:node',
+          oauth.requireScope('read'),
           session.provider,
+          ratelimit.limit('reads'),
           getNodeSubscriptions);
 };
 
@@ -0,0 +1,213 @@
+/*
+ * Copyright 2012 Denis Washington <denisw@online.de>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// anonpool.js:
+// A pool of anonymous sessions across which anonymous requests are spread
+// (see session.js).
+
+var xmpp = require('node-xmpp');
+var config = require('./config');
+
+/**
+ * Creates a pool of up to 'size' sessions. 'dispatch' is either
+ * "round-robin" or "least-pending" (which picks the session with the
+ * fewest queries awaiting a reply). 'open' is called with a callback
+ * to open a new session, and 'expire' with sessions which must be
+ * closed once they aren't used anymore.
+ *
+ * Sessions whose connection hangs are replaced. Once the replacement is
+ * open, 'expire' gets it as second argument, so that retained sessions
+ * can be left for it (if they are retained, they stay open until
+ * released, but aren't handed out anymore). If the replacement can't be
+ * opened, the second argument is null.
+ */
+function AnonymousPool(size, dispatch, open, expire) {
+  this._size = Math.max(size, 1);
+  this._dispatch = dispatch;
+  this._open = open;
+  this._expire = expire;
+  this._sessions = []; // slot -> session
+  this._opening = []; // slot -> true while its session is being opened
+  this._waiting = [];
+  this._next = 0;
+  this._checkInterval = null;
+}
+exports.AnonymousPool = AnonymousPool;
+
+/**
+ * Seconds to wait for the reply to a health check ping before a pooled
+ * session's connection is considered dead.
+ */
+AnonymousPool.prototype.healthCheckTimeout = 10;
+
+/**
+ * Calls 'callback' with an error (if no session could be opened) and a
+ * session of the pool, which is filled up first if necessary.
+ *
+ * Requests which rely on state kept by the session, like its temporary
+ * subscriptions, pass a 'key' (e.g. the ID of the node they are about).
+ * All requests with the same key get the same session, or its
+ * replacement. If 'key' is null, the session is chosen by the pool's
+ * dispatch strategy.
+ */
+AnonymousPool.prototype.get = function(key, callback) {
+  var session = this._choose(key);
+  if (session) {
+    callback(null, session);
+  } else {
+    this._waiting.push({key: key, callback: callback});
+    this._fill();
+  }
+};
+
+/**
+ * Pings every connected session and replaces those which don't answer
+ * within healthCheckTimeout. Disconnected sessions are left alone, as
+ * they reconnect by themselves. This is done every
+ * "anonymousPoolCheckInterval" seconds once the pool is in use.
+ */
+AnonymousPool.prototype.checkHealth = function() {
+  var self = this;
+  this._sessions.forEach(function(session) {
+    if (!session || !session.isConnected()) {
+      return;
+    }
+
+    var answered = false;
+    var ping = new xmpp.Iq({type: 'get'}).c('ping', {xmlns: 'urn:xmpp:ping'});
+    session.sendQuery(ping, function() {
+      answered = true;
+    });
+    setTimeout(function() {
+      if (!answered) {
+        console.log('anonymous session pool: replacing unresponsive ' +
+                    'session ' + session.jid);
+        self._replace(session);
+      }
+    }, self.healthCheckTimeout * 1000);
+  });
+};
+
+// Requests with a key get the session in the key's slot, even if it is
+// reconnecting, and wait while that slot's session is being opened.
+// Otherwise, sessions that are connected are preferred. If none is, a
+// reconnecting session is chosen anyway, so that queries fail quickly
+// with a "503 Service Unavailable" response (see Session.sendQuery() in
+// session.js).
+AnonymousPool.prototype._choose = function(key) {
+  if (key !== null && key !== undefined) {
+    return this._sessions[this._slotOf(key)] || null;
+  }
+
+  var sessions = this._sessions.filter(function(session) {
+    return !!session;
+  });
+  var candidates = sessions.filter(function(session) {
+    return session.isConnected();
+  });
+  if (candidates.length == 0) {
+    candidates = sessions;
+  }
+  if (candidates.length == 0) {
+    return null;
+  }
+
+  if (this._dispatch == 'round-robin') {
+    this._next = (this._next + 1) % candidates.length;
+    return candidates[this._next];
+  } else {
+    return candidates.reduce(function(best, session) {
+      return session.pendingQueries() < best.pendingQueries() ?
+        session : best;
+    });
+  }
+};
+
+AnonymousPool.prototype._slotOf = function(key) {
+  var hash = 0;
+  for (var i = 0; i < key.length; i++) {
+    hash = (hash * 31 + key.charCodeAt(i)) | 0;
+  }
+  return Math.abs(hash) % this._size;
+};
+
+// Returns true if the session a request with 'key' is waiting for is
+// still being opened.
+AnonymousPool.prototype._isOpening = function(key) {
+  if (key !== null && key !== undefined) {
+    return !!this._opening[this._slotOf(key)];
+  }
+  return this._opening.some(function(opening) {
+    return opening;
+  });
+};
+
+AnonymousPool.prototype._fill = function() {
+  var self = this;
+  for (var slot = 0; slot < this._size; slot++) {
+    if (!this._sessions[slot] && !this._opening[slot]) {
+      this._openSlot(slot, null);
+    }
+  }
+
+  if (!this._checkInterval) {
+    this._checkInterval = setInterval(function() {
+      self.checkHealth();
+    }, config.anonymousPoolCheckInterval * 1000);
+  }
+};
+
+// Opens a session for the passed slot, which replaces 'replaced' (if not
+// null).
+AnonymousPool.prototype._openSlot = function(slot, replaced) {
+  var self = this;
+  this._opening[slot] = true;
+  this._open(function(err, session) {
+    self._opening[slot] = false;
+    if (err) {
+      console.error('anonymous session pool: login failed: ' + err);
+    } else {
+      self._sessions[slot] = session;
+    }
+    if (replaced) {
+      self._expire(replaced, session || null);
+    }
+    self._serveWaiting(err);
+  });
+};
+
+AnonymousPool.prototype._serveWaiting = function(err) {
+  var waiting = this._waiting;
+  this._waiting = [];
+  waiting.forEach(function(request) {
+    var session = this._choose(request.key);
+    if (session) {
+      request.callback(null, session);
+    } else if (this._isOpening(request.key)) {
+      this._waiting.push(request);
+    } else {
+      request.callback(err);
+    }
+  }, this);
+};
+
+AnonymousPool.prototype._replace = function(session) {
+  var slot = this._sessions.indexOf(session);
+  if (slot >= 0) {
+    this._sessions[slot] = null;
+    this._openSlot(slot, session);
+  }
+};
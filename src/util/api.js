@@ -17,13 +17,17 @@
 // api.js:
 // Utility functions and middleware used by the API resource handlers.
 
+var crypto = require('crypto');
+var iso8601 = require('iso8601');
 var xml = require('libxmljs');
 var xmpp = require('node-xmpp');
+var apikeys = require('./apikeys');
 var atom = require('./atom');
 var auth = require('./auth');
 var cache = require('./cache');
 var config = require('./config');
 var pubsub = require('./pubsub');
+var push = require('./push');
 
 /**
  * Sends a "401 Unauthorized" response with the correct "WWW-Authenticate"
@@ -37,21 +41,55 @@ exports.sendUnauthorized = function(res) {
   res.send(401);
 };
 
+/**
+ * Middleware that rejects requests made with API keys with "403
+ * Forbidden", for resources whose access can't be restricted to the
+ * nodes and operations a key grants.
+ */
+exports.refuseApiKeys = function(req, res, next) {
+  if (req.apiKey) {
+    res.send(403);
+  } else {
+    next();
+  }
+};
+
+/**
+ * Returns true if pages from 'origin' may make requests with credentials
+ * (like the session cookie) to the API, i.e. if they may act on behalf of
+ * the user. With cookie sessions, this is only the case for the origins
+ * in the "allowedOrigins" option.
+ */
+exports.isTrustedOrigin = function(origin) {
+  if (config.allowedOrigins) {
+    return config.allowedOrigins.indexOf(origin) >= 0;
+  }
+  return origin != 'null' && !config.cookieSessions;
+};
+
 /**
  * Like session.sendQuery(), but takes care of any returned XMPP error
- * stanzas and only passes real replies to the callback.
+ * stanzas and only passes real replies to the callback. Requests made with
+ * an API key get a 403 response instead if the key doesn't allow the query.
  */
 exports.sendQuery = function(req, res, iq, callback) {
+  if (req.apiKey && !apikeys.allowsQuery(req.apiKey, iq)) {
+    res.send(403);
+    return;
+  }
   req.session.sendQuery(iq, function(reply) {
     if (reply.type == 'error') {
-      reportXmppError(req, res, reply);
+      exports.reportXmppError(req, res, reply);
     } else {
       callback(reply);
     }
   });
 };
 
-function reportXmppError(req, res, errorStanza) {
+/**
+ * Sends the HTTP error response matching the passed XMPP error stanza.
+ */
+exports.reportXmppError = function(req, res, errorStanza) {
   var error = errorStanza.getChild('error');
   if (error) {
     if (error.getChild('not-authorized') ||
@@ -62,35 +100,104 @@ function reportXmppError(req, res, errorStanza) {
       } else {
         exports.sendUnauthorized(res);
       }
+      return;
     } else if (error.getChild('item-not-found')) {
       res.send(404);
+      return;
+    } else if (error.getChild('conflict')) {
+      res.send(409);
+      return;
+    } else if (error.getChild('service-unavailable') &&
+               error.attrs.type == 'wait' && !req.session.isConnected()) {
+      // The session's XMPP connection is being reestablished
+      res.header('Retry-After', String(req.session.retryAfter()));
+      res.send(503);
+      return;
     }
   }
   res.send(500);
-}
+};
 
 /**
  * Responds to req with an Atom document in a format
  * determined by the "Accept" request header (either
- * XML or JSON).
+ * XML or JSON). 'jsonOptions' is passed to atom.toJSON().
  */
-exports.sendAtomResponse = function(req, res, doc) {
+exports.sendAtomResponse = function(req, res, doc, jsonOptions) {
   var response;
 
+  res.header('Vary', 'Accept');
   if (req.accepts('application/atom+xml')) {
     res.contentType('atom');
     response = doc.toString();
   } else if (req.accepts('application/json')) {
     res.contentType('json');
-    response = atom.toJSON(doc);
+    response = atom.toJSON(doc, jsonOptions);
   } else {
-    response = 406;
+    res.send(406);
+    return;
+  }
+
+  exports.sendConditional(req, res, response, getLastModified(doc));
+};
+
+function getLastModified(doc) {
+  var updated = atom.get(doc, 'atom:updated');
+  try {
+    return updated ? iso8601.toDate(updated.text()) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Like res.send(body), but handles conditional GET requests. The response
+ * gets a strong "ETag" computed from the body and, if 'lastModified' is
+ * given, a "Last-Modified" header. If the request's "If-None-Match" or
+ * "If-Modified-Since" header indicates that the client's copy is still
+ * current, "304 Not Modified" is sent instead of the body.
+ */
+exports.sendConditional = function(req, res, body, lastModified) {
+  if (typeof body != 'string') {
+    body = JSON.stringify(body);
+  }
+
+  var etag = '"' + crypto.createHash('sha1').update(body).digest('hex') + '"';
+  res.header('ETag', etag);
+  if (lastModified) {
+    res.header('Last-Modified', lastModified.toUTCString());
   }
 
-  res.send(response);
+  if (isNotModified(req, etag, lastModified)) {
+    res.send(304);
+  } else {
+    res.send(body);
+  }
 };
 
-// suffixes -json or -atom to the channel name
+function isNotModified(req, etag, lastModified) {
+  var ifNoneMatch = req.header('If-None-Match');
+  if (ifNoneMatch) {
+    var etags = ifNoneMatch.split(/\s*,\s*/);
+    return etags.indexOf(etag) >= 0 || etags.indexOf('*') >= 0;
+  }
+
+  var ifModifiedSince = Date.parse(req.header('If-Modified-Since'));
+  if (lastModified && !isNaN(ifModifiedSince)) {
+    // HTTP dates have a resolution of seconds
+    var modified = Math.floor(lastModified.getTime() / 1000) * 1000;
+    return modified <= ifModifiedSince;
+  }
+
+  return false;
+}
+
+/**
+ * Responds to req with instructions for the configured push proxy (see
+ * push.js) to hold the request open until new items are published on
+ * 'channel'. The channel name is suffixed with "-atom" or "-json",
+ * depending on the requested format.
+ */
 exports.sendHoldResponse = function(req, res, channel, prevId) {
   var contentType;
   var body;
@@ -107,28 +214,42 @@ exports.sendHoldResponse = function(req, res, channel, prevId) {
     return;
   }
 
-  var c = {};
-  c['name'] = channel;
-  if (prevId) {
-    c['prev-id'] = prevId;
-  }
-
-  var hold = {};
-  hold['mode'] = 'response';
-  hold['channels'] = [c];
-
   var response = {};
   response['headers'] = { 'Content-Type': contentType };
   response['body'] = body;
 
-  var instruct = {};
-  instruct['hold'] = hold;
-  instruct['response'] = response;
+  push.sendHoldResponse(res, channel, prevId, response);
+};
 
-  console.log("sending hold for channel " + channel);
-  res.send(instruct, { 'Content-Type': 'application/fo-instruct' });
+/**
+ * Converts the node configuration data form contained in the passed XML
+ * element (e.g. a disco#info reply or a Pub-Sub <configuration/> event)
+ * into the JSON form of channel metadata.
+ */
+exports.metadataToJSON = function(element) {
+  var title = getOption(element, 'pubsub#title');
+  var description = getOption(element, 'pubsub#description');
+  var accessModel = getOption(element, 'pubsub#access_model');
+  var creationDate = getOption(element, 'pubsub#creation_date');
+  var type = getOption(element, 'buddycloud#channel_type');
+  var affiliation = getOption(element, 'buddycloud#default_affiliation');
+
+  return {
+    title: title,
+    description: description,
+    access_model: accessModel,
+    creation_date: creationDate,
+    channel_type: type,
+    default_affiliation: affiliation
+  };
 };
 
+function getOption(element, name) {
+  var query = './/x:field[@var="' + name + '"]/x:value';
+  var option = element.get(query, {x: 'jabber:x:data'});
+  return option ? option.text() : undefined;
+}
+
 /**
  * Middleware that reads the request body into a Buffer which is stored
  * in req.body.
@@ -161,6 +282,36 @@ function copyIntoBuffer(buffer, chunks) {
   });
 }
 
+/**
+ * Parses the request body as an Atom entry, which may be either in XML or
+ * JSON form. If the body is malformed, a "400 Bad Request" response is sent
+ * and null is returned.
+ */
+exports.parseRequestBody = function(req, res) {
+  try {
+    if (req.is('json') || req.body.toString().match(/^\w*\{/)) {
+      return atom.fromJSON(JSON.parse(req.body));
+    } else {
+      return xml.parseXmlString(req.body);
+    }
+  } catch (e) {
+    res.send(400);
+    return null;
+  }
+};
+
+/**
+ * Publishes an Atom entry to a channel node. If 'itemId' is specified,
+ * the existing item with that ID is overwritten; otherwise, a new item
+ * is created.
+ */
+exports.publishNodeItem = function(req, res, channel, node, itemId, entry,
+                                   callback) {
+  var nodeId = pubsub.channelNodeId(channel, node);
+  var iq = pubsub.publishIq(nodeId, entry.toString(), itemId);
+  exports.sendQuery(req, res, iq, callback);
+};
+
 /**
  * Middleware that looks up the buddycloud media server responsible
  * for the requested resource and stores its HTTP root in req.mediaRoot.
@@ -181,7 +332,7 @@ exports.generateNodeFeedFromEntries = function(channel, node, from, entries) {
   feed.root().node('id', queryURI);
 
   entries.forEach(function(entry) {
-    atom.ensureEntryHasTitle(entry);
+    atom.normalizeEntry(entry);
     feed.root().addChild(entry.remove());
   });
   return feed;
@@ -0,0 +1,319 @@
+/*
+ * Copyright 2012 Denis Washington <denisw@online.de>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// apikeys.js:
+// Manages API keys, which let bots and integrations act on behalf of a
+// user without knowing the user's password.
+//
+// An API key is restricted by a list of permissions, each of which grants
+// some 'operations' (a subset of the OAuth scopes "read", "publish" and
+// "subscribe") on a 'channel' and 'node'. A permission without 'node'
+// applies to all nodes of the channel, one without 'channel' to all
+// channels. Queries that don't concern a particular node (like listing
+// the user's subscriptions) require a permission without 'channel'.
+// Managing nodes (creating, configuring or deleting them and changing
+// their affiliations) isn't possible with API keys at all.
+//
+// Key records are kept in a store of their own (see sessionstore.js) and
+// contain the user's XMPP password, as the server must log in as the user
+// to act on the key's behalf. The key itself is only returned on creation;
+// the record holds a hash of its secret part.
+
+var crypto = require('crypto');
+var pubsub = require('./pubsub');
+var sessionstore = require('./sessionstore');
+
+/**
+ * The operations that can be granted to API keys.
+ */
+exports.operations = ['read', 'publish', 'subscribe'];
+
+var store;
+
+/**
+ * Validates the permissions of a new API key as submitted by a client.
+ * Returns the normalized permissions, or null if they are invalid.
+ */
+exports.parsePermissions = function(permissions) {
+  if (!Array.isArray(permissions) || permissions.length == 0) {
+    return null;
+  }
+
+  var result = [];
+  for (var i = 0; i < permissions.length; i++) {
+    var permission = parsePermission(permissions[i]);
+    if (!permission) {
+      return null;
+    }
+    result.push(permission);
+  }
+  return result;
+};
+
+function parsePermission(permission) {
+  if (!permission || typeof permission != 'object' ||
+      !isOptionalName(permission.channel) ||
+      !isOptionalName(permission.node) ||
+      (permission.channel && permission.channel.indexOf('/') >= 0) ||
+      (permission.node && !permission.channel) ||
+      !Array.isArray(permission.operations) ||
+      permission.operations.length == 0) {
+    return null;
+  }
+
+  for (var i = 0; i < permission.operations.length; i++) {
+    if (exports.operations.indexOf(permission.operations[i]) < 0) {
+      return null;
+    }
+  }
+
+  var result = {operations: permission.operations.slice()};
+  if (permission.channel) {
+    result.channel = permission.channel;
+  }
+  if (permission.node) {
+    result.node = permission.node;
+  }
+  return result;
+}
+
+function isOptionalName(name) {
+  return name === undefined || (typeof name == 'string' && name.length > 0);
+}
+
+/**
+ * Creates an API key for 'user', who logs in with 'password'. 'name'
+ * describes the key's purpose to the user, and 'permissions' must have
+ * been validated with parsePermissions(). The callback gets an error (if
+ * any), the new key's record and the key itself.
+ */
+exports.create = function(user, password, name, permissions, callback) {
+  var id = crypto.randomBytes(16).toString('hex');
+  var secret = crypto.randomBytes(24).toString('hex');
+  var record = {
+    id: id,
+    user: user,
+    password: password,
+    name: name || '',
+    permissions: permissions,
+    secretHash: hash(secret),
+    created: Date.now()
+  };
+
+  getStore().save(record, function(err) {
+    if (err) {
+      callback(err);
+    } else {
+      callback(null, record, id + '.' + secret);
+    }
+  });
+};
+
+/**
+ * Calls 'callback' with an error (if any) and the records of all API keys
+ * of the user with the passed bare JID.
+ */
+exports.list = function(jid, callback) {
+  getStore().list(function(err, records) {
+    if (err) {
+      callback(err);
+      return;
+    }
+    callback(null, records.filter(function(record) {
+      return bareJid(record.user) == jid;
+    }));
+  });
+};
+
+/**
+ * Revokes the API key with ID 'id' if it belongs to the user with the
+ * passed bare JID. The callback gets an error (if any) and whether the
+ * key was found.
+ */
+exports.remove = function(jid, id, callback) {
+  getStore().load(id, function(err, record) {
+    if (err) {
+      callback(err);
+    } else if (!record || bareJid(record.user) != jid) {
+      callback(null, false);
+    } else {
+      getStore().remove(id, function(err) {
+        callback(err, !err);
+      });
+    }
+  });
+};
+
+/**
+ * Replaces the XMPP password stored in the API keys of the user with the
+ * passed bare JID after it was changed. The callback gets an error, if
+ * any.
+ */
+exports.updatePassword = function(jid, password, callback) {
+  exports.list(jid, function(err, records) {
+    if (err) {
+      callback(err);
+      return;
+    }
+    forEachRecord(records, function(record, done) {
+      record.password = password;
+      getStore().save(record, done);
+    }, callback);
+  });
+};
+
+/**
+ * Revokes all API keys of the user with the passed bare JID. The callback
+ * gets an error (if any) and the IDs of the revoked keys.
+ */
+exports.removeAll = function(jid, callback) {
+  exports.list(jid, function(err, records) {
+    if (err) {
+      callback(err);
+      return;
+    }
+    forEachRecord(records, function(record, done) {
+      getStore().remove(record.id, done);
+    }, function(err) {
+      callback(err, records.map(function(record) { return record.id; }));
+    });
+  });
+};
+
+// Calls 'action' with every record and a callback taking an error, and
+// 'callback' with the first error (if any) once all actions completed.
+function forEachRecord(records, action, callback) {
+  var remaining = records.length;
+  var firstError = null;
+  if (remaining == 0) {
+    callback(null);
+    return;
+  }
+  records.forEach(function(record) {
+    action(record, function(err) {
+      firstError = firstError || err;
+      if (--remaining == 0) {
+        callback(firstError);
+      }
+    });
+  });
+}
+
+/**
+ * Looks up the record of an API key as supplied by a client. The callback
+ * gets an error (if any) and the record, or null if the key is invalid.
+ */
+exports.authenticate = function(key, callback) {
+  var parts = key.split('.');
+  if (parts.length != 2 || !/^[0-9a-f]+$/.test(parts[0])) {
+    process.nextTick(function() {
+      callback(null, null);
+    });
+    return;
+  }
+
+  getStore().load(parts[0], function(err, record) {
+    if (err) {
+      callback(err);
+    } else if (!record || record.secretHash != hash(parts[1])) {
+      callback(null, null);
+    } else {
+      callback(null, record);
+    }
+  });
+};
+
+/**
+ * Returns true if the API key with the passed record grants 'operation'
+ * on any node.
+ */
+exports.allowsOperation = function(record, operation) {
+  return record.permissions.some(function(permission) {
+    return permission.operations.indexOf(operation) >= 0;
+  });
+};
+
+/**
+ * Returns true if the API key with the passed record grants 'operation'
+ * on the Pub-Sub node with ID 'nodeId'. If 'nodeId' is null, the
+ * operation must be granted for all channels.
+ */
+exports.allowsNode = function(record, nodeId, operation) {
+  var target = nodeId ? parseNodeId(nodeId) : {};
+  if (!target) {
+    return false;
+  }
+
+  return record.permissions.some(function(permission) {
+    return permission.operations.indexOf(operation) >= 0 &&
+           (!permission.channel || permission.channel == target.channel) &&
+           (!permission.node || permission.node == target.node);
+  });
+};
+
+/**
+ * Returns true if the API key with the passed record allows sending the
+ * passed Pub-Sub or disco#info query. Queries of other kinds, as well as
+ * queries changing nodes rather than their items, are never allowed.
+ */
+exports.allowsQuery = function(record, iq) {
+  var request = iq.getChild('pubsub', pubsub.ns) ||
+                iq.getChild('pubsub', pubsub.ownerNS);
+  var action = request ? request.children[0] :
+               iq.getChild('query', 'http://jabber.org/protocol/disco#info');
+  if (!action || typeof action == 'string') {
+    return false;
+  }
+
+  var operation = queryOperation(iq, request, action);
+  return !!operation &&
+         exports.allowsNode(record, action.attrs.node || null, operation);
+};
+
+// Returns the operation a query needs to be granted, or null if it needs
+// more than any API key can have.
+function queryOperation(iq, request, action) {
+  if (iq.attrs.type == 'get') {
+    return 'read';
+  } else if (!request || request.getNS() == pubsub.ownerNS ||
+             action.name == 'create') {
+    return null;
+  } else if (action.name == 'subscribe' || action.name == 'unsubscribe') {
+    return 'subscribe';
+  } else {
+    return 'publish';
+  }
+}
+
+function parseNodeId(nodeId) {
+  var match = nodeId.match(/^\/user\/([^\/]+)\/(.+)$/);
+  return match ? {channel: match[1], node: match[2]} : null;
+}
+
+function bareJid(jid) {
+  return jid.split('/', 2)[0];
+}
+
+function hash(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function getStore() {
+  if (!store) {
+    store = sessionstore.createStore('keys');
+  }
+  return store;
+}
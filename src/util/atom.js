@@ -18,6 +18,7 @@
 // Simplifies working with Atom feeds.
 
 var xml = require('libxmljs');
+var iso8601 = require('iso8601');
 
 /** The Atom XML namespace. */
 exports.ns = 'http://www.w3.org/2005/Atom';
@@ -42,7 +43,7 @@ exports.normalizeEntry = function(entry) {
 
 function ensureEntryHasTitle(entry) {
   var content = exports.get(entry, 'atom:content/text()');
-  if (content) {
+  if (content && !exports.get(entry, 'atom:title')) {
     var teaser = extractTeaser(content.toString());
     entry.node('title', teaser).namespace(exports.ns);
   }
@@ -70,24 +71,107 @@ function ensureEntryHasAuthorName(entry) {
   }
 }
 
+/**
+ * Sets the <updated/> date of an entry, replacing any existing one.
+ */
+exports.setUpdated = function(entry, date) {
+  var updated = exports.get(entry, 'atom:updated');
+  if (updated) {
+    updated.remove();
+  }
+  entry.node('updated', iso8601.fromDate(date)).namespace(exports.ns);
+};
+
+/**
+ * Sorts an array of Atom entries chronologically (oldest first) by their
+ * <updated/> date, or <published/> if there is none.
+ */
+exports.sortByDate = function(entries) {
+  return entries.sort(function(a, b) {
+    return entryTime(a) - entryTime(b);
+  });
+};
+
+function entryTime(entry) {
+  var date = exports.get(entry, 'atom:updated') ||
+             exports.get(entry, 'atom:published');
+  return date ? iso8601.toDate(date.text()).getTime() : 0;
+}
+
+/**
+ * Reorders the entries of an Atom <feed/> into threads: each top-level
+ * entry is directly followed by its replies, oldest first. Replies whose
+ * parent is not part of the feed are moved to the end.
+ */
+exports.threadFeed = function(feed) {
+  var entries = feed.find('a:entry', {a: exports.ns});
+  var topLevel = [];
+  var replies = {};
+
+  entries.forEach(function(entry) {
+    var ref = getReplyRef(entry);
+    if (ref) {
+      replies[ref] = replies[ref] || [];
+      replies[ref].push(entry);
+    } else {
+      topLevel.push(entry);
+    }
+  });
+
+  topLevel.forEach(function(entry) {
+    var id = exports.get(entry, 'atom:id');
+    feed.addChild(entry.remove());
+    if (id && replies[id.text()]) {
+      appendEntries(feed, exports.sortByDate(replies[id.text()]));
+      delete replies[id.text()];
+    }
+  });
+
+  for (var ref in replies) {
+    appendEntries(feed, exports.sortByDate(replies[ref]));
+  }
+};
+
+function appendEntries(feed, entries) {
+  entries.forEach(function(entry) {
+    feed.addChild(entry.remove());
+  });
+}
+
+function getReplyRef(entry) {
+  var replyTo = entry.get('t:in-reply-to', {t: exports.threadNS});
+  return replyTo ? replyTo.attr('ref').value() : undefined;
+}
+
 /**
  * Serializes an Atom <feed/> or <entry/> element to a JSON form which
- * contains the most important entry attributes.
+ * contains the most important entry attributes. If 'options.nested' is
+ * set, replies to feed entries are put into their parent's 'replies'
+ * array instead of being listed separately.
  */
-exports.toJSON = function(element) {
+exports.toJSON = function(element, options) {
   if (element.name() == 'feed') {
-    return feedToJSON(element);
+    return feedToJSON(element, options || {});
   } else {
     return entryToJSON(element);
   }
 };
 
-function feedToJSON(feed) {
+function feedToJSON(feed, options) {
   var json = [];
+  var byId = {};
 
   var entries = feed.find('a:entry', {a: exports.ns});
   entries.forEach(function(e) {
-    json.push(entryToJSON(e));
+    var entry = entryToJSON(e);
+    var parent = entry.replyTo ? byId[entry.replyTo] : null;
+    if (options.nested && parent) {
+      parent.replies = parent.replies || [];
+      parent.replies.push(entry);
+    } else {
+      json.push(entry);
+    }
+    byId[entry.id] = entry;
   });
 
   return json;
@@ -100,10 +184,6 @@ function entryToJSON(entry) {
   var published = exports.get(entry, 'atom:published');
   var updated = exports.get(entry, 'atom:updated');
   var content = exports.get(entry, 'atom:content');
-  var replyTo = entry.get(
-    't:in-reply-to',
-    {t: 'http://purl.org/syndication/thread/1.0'}
-  );
 
   return {
     id: id ? id.text() : null,
@@ -111,7 +191,7 @@ function entryToJSON(entry) {
     published: published ? published.text() : null,
     updated: updated ? updated.text() : null,
     content: content ? content.text() : null,
-    replyTo: replyTo ? replyTo.attr('ref').value() : undefined
+    replyTo: getReplyRef(entry)
   };
 }
 
@@ -17,11 +17,22 @@
 // auth.js:
 // Provides functions relating to HTTP authentication.
 
+var crypto = require('crypto');
+var jwt = require('jwt-simple');
+var apikeys = require('./apikeys');
 var config = require('./config');
 
+// Without a configured secret, tokens are only valid until the server
+// restarts (which also loses the sessions they refer to).
+var tokenSecret = config.tokenSecret || crypto.randomBytes(32).toString('hex');
+
 /**
  * Middleware that parses the HTTP "Authorization" header and stores
- * the read credentials into req.user and req.password.
+ * the read credentials into req.user and req.password. For bearer
+ * tokens (see issueToken()), req.user is set to the token's user and
+ * req.token to its claims. For API keys (sent with the "ApiKey" scheme,
+ * see apikeys.js), req.user is set to the key's user and req.apiKey to
+ * its record.
  */
 exports.parser = function(req, res, next) {
   var auth = req.header('Authorization');
@@ -30,6 +41,40 @@ exports.parser = function(req, res, next) {
     return;
   }
 
+  var bearerMatch = auth.match(/^Bearer\s+([A-Za-z0-9\-_\.]+)\s*$/);
+  if (bearerMatch) {
+    var claims = decodeToken(bearerMatch[1]);
+    if (!claims) {
+      res.header('WWW-Authenticate',
+                 'Bearer realm="' + config.xmppDomain + '", ' +
+                 'error="invalid_token"');
+      res.send(401);
+      return;
+    }
+    req.user = claims.sub;
+    req.token = claims;
+    next();
+    return;
+  }
+
+  var keyMatch = auth.match(/^ApiKey\s+([0-9a-f\.]+)\s*$/);
+  if (keyMatch) {
+    apikeys.authenticate(keyMatch[1], function(err, record) {
+      if (err) {
+        next(err);
+      } else if (!record) {
+        res.header('WWW-Authenticate',
+                   'ApiKey realm="' + config.xmppDomain + '"');
+        res.send(401);
+      } else {
+        req.user = record.user;
+        req.apiKey = record;
+        next();
+      }
+    });
+    return;
+  }
+
   var match = auth.match(/Basic\s+([A-Za-z0-9\+\/]+=*)\s*/);
   if (!match) {
     next(new Error('Bad Request'));
@@ -45,13 +90,49 @@ exports.parser = function(req, res, next) {
     return;
   }
 
-  req.user = credentials.slice(0, separatorIdx);
+  req.user = exports.qualifyUser(credentials.slice(0, separatorIdx));
   req.password = credentials.slice(separatorIdx + 1);
+  next();
+};
 
-  // If the username has no domain part, assume the home domain
-  if (req.user.indexOf('@') < 0) {
-    req.user += '@' + config.xmppDomain;
+/**
+ * Returns the passed username as JID. If the username has no domain
+ * part, the home domain is assumed.
+ */
+exports.qualifyUser = function(user) {
+  if (user.indexOf('@') < 0) {
+    user += '@' + config.xmppDomain;
   }
+  return user;
+};
 
-  next();
+/**
+ * Creates a signed bearer token that authenticates 'user' and refers to
+ * the session with ID 'sessionId'. The token expires after
+ * "tokenExpirationTime" seconds. If 'scope' is passed, the token is
+ * restricted to the listed scopes (see oauth.requireScope()). Returns an
+ * object with the 'token' and its expiration time 'expires' (in seconds
+ * since the epoch).
+ */
+exports.issueToken = function(user, sessionId, scope) {
+  var expires = Math.floor(Date.now() / 1000) + config.tokenExpirationTime;
+  var claims = {sub: user, sid: sessionId, exp: expires};
+  if (scope) {
+    claims.scope = scope;
+  }
+  return {token: jwt.encode(claims, tokenSecret), expires: expires};
 };
+
+function decodeToken(token) {
+  var claims;
+  try {
+    claims = jwt.decode(token, tokenSecret);
+  } catch (e) {
+    return null;
+  }
+  if (!claims.sub || !claims.sid ||
+      !(claims.exp > Math.floor(Date.now() / 1000))) {
+    return null;
+  }
+  return claims;
+}
@@ -65,6 +65,21 @@ Cache.prototype._resetTimeout = function(key)  {
   this._startTimeout(key);
 };
 
+/**
+ * Returns true if there is an entry for the passed key. Unlike get(),
+ * this does not restart the entry's expiration timeout.
+ */
+Cache.prototype.has = function(key) {
+  return key in this._data;
+};
+
+/**
+ * Returns the keys of all entries in the cache.
+ */
+Cache.prototype.keys = function() {
+  return Object.keys(this._data);
+};
+
 /**
  * Removes the entry with the specified key from the cache.
  */
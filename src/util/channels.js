@@ -0,0 +1,92 @@
+/*
+ * Copyright 2012 Denis Washington <denisw@online.de>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// channels.js:
+// Creates the Pub-Sub nodes making up a user's buddycloud channel.
+
+var pubsub = require('./pubsub');
+
+// Default node titles and descriptions; "{channel}" is replaced with the
+// channel's JID
+var nodeTitles = {
+  'posts': "{channel}'s channel",
+  'status': "{channel}'s status",
+  'geo/previous': "{channel}'s previous location",
+  'geo/current': "{channel}'s current location",
+  'geo/next': "{channel}'s next location"
+};
+var nodeDescriptions = {
+  'posts': 'The posts of {channel}',
+  'status': 'The status of {channel}',
+  'geo/previous': 'Where {channel} has been',
+  'geo/current': 'Where {channel} is now',
+  'geo/next': 'Where {channel} is going'
+};
+
+/**
+ * Creates the nodes of the channel of the user with the passed bare JID
+ * (see pubsub.channelNodes) with 'session', which must belong to that
+ * user. Nodes which already exist are left alone. The callback gets the
+ * XMPP error stanza if creating a node failed (or null otherwise) and the
+ * names of the nodes that were created.
+ */
+exports.create = function(session, channel, callback) {
+  var nodes = pubsub.channelNodes.slice();
+  var created = [];
+
+  function createNext() {
+    var node = nodes.shift();
+    if (!node) {
+      callback(null, created);
+      return;
+    }
+
+    var nodeId = pubsub.channelNodeId(channel, node);
+    var iq = pubsub.createIq(nodeId, defaultConfig(channel, node));
+    session.sendQuery(iq, function(reply) {
+      var error = reply.getChild('error');
+      if (reply.type != 'error') {
+        created.push(node);
+        createNext();
+      } else if (error && error.getChild('conflict')) {
+        createNext();
+      } else {
+        callback(reply, created);
+      }
+    });
+  }
+  createNext();
+};
+
+function defaultConfig(channel, node) {
+  var config = {
+    'pubsub#title': nodeTitles[node].replace('{channel}', channel),
+    'pubsub#description': nodeDescriptions[node].replace('{channel}', channel),
+    'buddycloud#channel_type': 'personal'
+  };
+
+  // Everyone may read the posts and status, but only followers approved
+  // by the user may see the user's location
+  if (node.indexOf('geo/') == 0) {
+    config['pubsub#access_model'] = 'authorize';
+    config['buddycloud#default_affiliation'] = 'member';
+  } else {
+    config['pubsub#access_model'] = 'open';
+    config['buddycloud#default_affiliation'] =
+      (node == 'posts') ? 'publisher' : 'member';
+  }
+  return config;
+}
@@ -23,7 +23,24 @@ var config = require('../../config');
 
 // Defaults
 exports.requestExpirationTime = 60; // 1min
+exports.outgoingRequestTimeout = 30; // 30s
 exports.sessionExpirationTime = 600; // 10min
+exports.cookieSessions = false;
+exports.cookieSameSite = 'Strict';
+exports.anonymousPoolSize = 1;
+exports.anonymousPoolDispatch = 'least-pending';
+exports.anonymousPoolCheckInterval = 60; // 1min
+exports.maxLoginFailures = 5;
+exports.maxLoginFailuresPerAddress = 20;
+exports.maxLoginDelay = 16; // 16s
+exports.loginLockoutTime = 900; // 15min
+exports.maxRegistrationsPerAddress = 5;
+exports.tokenExpirationTime = 86400; // 1d
+exports.oauthRefreshTokenLifetime = 2592000; // 30d
+exports.longPollTimeout = 30; // 30s
+exports.webSubLeaseTime = 864000; // 10d
+exports.allowPrivateCallbacks = false;
+exports.webhookRetryDelay = 10; // 10s
 
 function loadProfile(name) {
   var profile = config[name] || {};
@@ -0,0 +1,80 @@
+/*
+ * Copyright 2012 Denis Washington <denisw@online.de>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// cookies.js:
+// Helpers for reading and setting HTTP cookies. These work on plain
+// requests as well, so they can be used for WebSocket upgrade requests,
+// which don't pass through the middleware stack.
+
+/**
+ * Returns the value of the request's cookie with the passed name, or
+ * undefined if the request doesn't carry such a cookie.
+ */
+exports.get = function(req, name) {
+  var header = req.headers['cookie'];
+  if (!header) {
+    return undefined;
+  }
+
+  var pairs = header.split(/\s*;\s*/);
+  for (var i = 0; i < pairs.length; i++) {
+    var separatorIdx = pairs[i].indexOf('=');
+    if (separatorIdx > 0 && pairs[i].slice(0, separatorIdx) == name) {
+      try {
+        return decodeURIComponent(pairs[i].slice(separatorIdx + 1));
+      } catch (e) {
+        return undefined;
+      }
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Adds a "Set-Cookie" header to the response. 'options' may contain
+ * 'httpOnly', 'secure' (both booleans), 'sameSite' ("Strict" or "Lax")
+ * and 'maxAge' (in seconds). The cookie is valid for all paths.
+ */
+exports.set = function(res, name, value, options) {
+  options = options || {};
+
+  var cookie = name + '=' + encodeURIComponent(value) + '; Path=/';
+  if (options.maxAge !== undefined) {
+    cookie += '; Max-Age=' + options.maxAge;
+  }
+  if (options.httpOnly) {
+    cookie += '; HttpOnly';
+  }
+  if (options.secure) {
+    cookie += '; Secure';
+  }
+  if (options.sameSite) {
+    cookie += '; SameSite=' + options.sameSite;
+  }
+
+  var existing = res.getHeader('Set-Cookie') || [];
+  if (!Array.isArray(existing)) {
+    existing = [existing];
+  }
+  res.setHeader('Set-Cookie', existing.concat(cookie));
+};
+
+/**
+ * Makes the client delete the cookie with the passed name.
+ */
+exports.clear = function(res, name) {
+  exports.set(res, name, '', {maxAge: 0});
+};
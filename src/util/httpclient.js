@@ -0,0 +1,155 @@
+/*
+ * Copyright 2012 Denis Washington <denisw@online.de>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// httpclient.js:
+// Simple helpers for making outgoing HTTP(S) requests.
+
+var http = require('http');
+var https = require('https');
+var net = require('net');
+var url = require('url');
+var config = require('./config');
+
+/**
+ * Sends a GET request to 'targetUrl'. When the response has been read,
+ * 'callback' is called with the response and its body (as string). If
+ * the request fails or the response isn't complete within the configured
+ * outgoingRequestTimeout, 'callback' is called with an error instead.
+ */
+exports.get = function(targetUrl, callback) {
+  sendRequest('GET', targetUrl, null, {}, callback);
+};
+
+/**
+ * Sends a POST request with the passed body and headers to 'targetUrl'.
+ * 'callback' is called like for get().
+ */
+exports.post = function(targetUrl, body, headers, callback) {
+  sendRequest('POST', targetUrl, body, headers, callback);
+};
+
+/**
+ * Returns true if the passed HTTP response has a 2xx status code.
+ */
+exports.isSuccess = function(res) {
+  return res.statusCode >= 200 && res.statusCode < 300;
+};
+
+/**
+ * Returns true if 'callbackUrl' is an HTTP(S) URL which the server may
+ * deliver to on behalf of a client (like a webhook or WebSub callback).
+ * Unless the allowPrivateCallbacks option is set, URLs pointing to the
+ * loopback interface or a private network are refused, so that clients
+ * can't make the server send requests to internal services. Host names
+ * other than "localhost" are not resolved for this check.
+ */
+exports.isValidCallbackUrl = function(callbackUrl) {
+  if (typeof callbackUrl != 'string') {
+    return false;
+  }
+  var target = url.parse(callbackUrl);
+  if ((target.protocol != 'http:' && target.protocol != 'https:') ||
+      !target.hostname) {
+    return false;
+  }
+  return config.allowPrivateCallbacks || !isPrivateHost(target.hostname);
+};
+
+function isPrivateHost(hostname) {
+  hostname = hostname.toLowerCase();
+  if (hostname == 'localhost' || /\.localhost\.?$/.test(hostname)) {
+    return true;
+  }
+
+  switch (net.isIP(hostname)) {
+  case 4:
+    return isPrivateIPv4(hostname);
+  case 6:
+    return isPrivateIPv6(hostname);
+  default:
+    // Numeric host names like "2130706433" or "0x7f.1" are resolved to
+    // IPv4 addresses as well
+    return /^(0x[0-9a-f]*|[0-9]+)(\.(0x[0-9a-f]*|[0-9]+))*\.?$/.test(hostname);
+  }
+}
+
+function isPrivateIPv4(address) {
+  var parts = address.split('.').map(Number);
+  var a = parts[0];
+  var b = parts[1];
+  return a == 0 || a == 10 || a == 127 || a >= 224 ||
+         (a == 100 && b >= 64 && b <= 127) ||
+         (a == 169 && b == 254) ||
+         (a == 172 && b >= 16 && b <= 31) ||
+         (a == 192 && b == 168);
+}
+
+// Refuses the loopback and unspecified addresses, unique local and
+// link-local addresses and IPv4-mapped addresses
+function isPrivateIPv6(address) {
+  var bits = address.replace(/[:0]/g, '');
+  return bits == '' || bits == '1' ||
+         /^f[cd]/.test(address) || /^fe[89ab]/.test(address) ||
+         /^::ffff:/.test(address);
+}
+
+function sendRequest(method, targetUrl, body, headers, callback) {
+  var called = false;
+  var finish = function(err, res, body) {
+    if (!called) {
+      called = true;
+      clearTimeout(timeout);
+      callback(err, res, body);
+    }
+  };
+
+  var target = url.parse(targetUrl);
+  if (body) {
+    headers['Content-Length'] = Buffer.byteLength(body, 'utf8');
+  }
+
+  var request = (target.protocol == 'https:') ? https.request : http.request;
+  var req = request({
+    method: method,
+    host: target.hostname,
+    port: target.port,
+    path: target.path,
+    headers: headers
+  }, function(res) {
+    var chunks = [];
+    res.setEncoding('utf8');
+    res.on('data', function(data) {
+      chunks.push(data);
+    });
+    res.on('end', function() {
+      finish(null, res, chunks.join(''));
+    });
+  });
+
+  req.on('error', function(err) {
+    finish(err);
+  });
+
+  var timeout = setTimeout(function() {
+    finish(new Error('Request to ' + targetUrl + ' timed out'));
+    req.abort();
+  }, config.outgoingRequestTimeout * 1000);
+
+  if (body) {
+    req.write(body);
+  }
+  req.end();
+}
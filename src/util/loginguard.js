@@ -0,0 +1,220 @@
+/*
+ * Copyright 2012 Denis Washington <denisw@online.de>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// loginguard.js:
+// Protects against password guessing and mass account registration.
+//
+// Failed logins are counted per username and per client IP address.
+// Every failure delays further login attempts of the same username or
+// address a little more, as does every attempt that is still in progress
+// (so that guesses can't be sped up by making them in parallel). After
+// too many failures, the username or address is locked out for
+// "loginLockoutTime" seconds. Failures are forgotten after the same time
+// has passed without another one. Account registrations are limited per
+// IP address.
+
+var config = require('./config');
+
+// The delay (in seconds) after the first failure, which doubles with
+// every further one up to "maxLoginDelay".
+var initialDelay = 1;
+
+// Registrations are counted over this many seconds
+var registrationPeriod = 3600;
+
+// 'user:<jid>' or 'address:<ip>' -> {count, last, lockedUntil}
+var failures = {};
+var attempts = {}; // same keys -> number of logins in progress
+var registrations = {}; // ip -> [time, ...]
+
+var sweepTimer = null;
+
+/**
+ * Must be called before attempting to log in 'user' on behalf of the
+ * client that made 'req'. Once the attempt may proceed, 'callback' is
+ * called with 0, and the attempt's outcome must then be reported with
+ * loginFailed(), loginSucceeded() or loginAborted(). If the user or
+ * client is locked out, 'callback' is called immediately with the number
+ * of seconds until the lockout ends.
+ */
+exports.beforeLogin = function(req, user, callback) {
+  var keys = [userKey(user), addressKey(req)];
+  var userEntry = getFailures(keys[0]);
+  var addressEntry = getFailures(keys[1]);
+  var now = Date.now();
+
+  var lockedUntil = Math.max(userEntry.lockedUntil, addressEntry.lockedUntil);
+  if (lockedUntil > now) {
+    console.log('login guard: rejected login of ' + user + ' from ' +
+                clientAddress(req) + ' during lockout');
+    callback(Math.ceil((lockedUntil - now) / 1000));
+    return;
+  }
+
+  var count = Math.max(userEntry.count + (attempts[keys[0]] || 0),
+                       addressEntry.count + (attempts[keys[1]] || 0));
+  keys.forEach(function(key) {
+    attempts[key] = (attempts[key] || 0) + 1;
+  });
+
+  if (count == 0) {
+    callback(0);
+  } else {
+    var delay = Math.min(initialDelay * Math.pow(2, count - 1),
+                         config.maxLoginDelay);
+    setTimeout(function() {
+      callback(0);
+    }, delay * 1000);
+  }
+};
+
+/**
+ * Records a failed login of 'user' by the client that made 'req'.
+ */
+exports.loginFailed = function(req, user) {
+  endAttempt(req, user);
+  console.log('login guard: failed login of ' + user + ' from ' +
+              clientAddress(req));
+  countFailure(userKey(user), config.maxLoginFailures);
+  countFailure(addressKey(req), config.maxLoginFailuresPerAddress);
+};
+
+/**
+ * Records a successful login of 'user', which resets the user's failure
+ * count. The client's count is kept, as it may be guessing passwords of
+ * several accounts.
+ */
+exports.loginSucceeded = function(req, user) {
+  endAttempt(req, user);
+  var key = userKey(user);
+  if (failures[key] && failures[key].lockedUntil <= Date.now()) {
+    delete failures[key];
+  }
+};
+
+/**
+ * Records that a login of 'user' by the client that made 'req' ended
+ * without a result, e.g. because the XMPP server couldn't be reached.
+ */
+exports.loginAborted = function(req, user) {
+  endAttempt(req, user);
+};
+
+/**
+ * Records an attempt to register an account by the client that made
+ * 'req'. Returns 0 if the registration may proceed, or the number of
+ * seconds until the client may try again.
+ */
+exports.beforeRegistration = function(req) {
+  var address = clientAddress(req);
+  var now = Date.now();
+  var times = (registrations[address] || []).filter(function(time) {
+    return now - time < registrationPeriod * 1000;
+  });
+
+  if (times.length >= config.maxRegistrationsPerAddress) {
+    console.log('login guard: rejected registration from ' + address +
+                ' after ' + times.length + ' attempts');
+    registrations[address] = times;
+    return Math.ceil((times[0] + registrationPeriod * 1000 - now) / 1000);
+  }
+
+  times.push(now);
+  registrations[address] = times;
+  startSweeping();
+  return 0;
+};
+
+/**
+ * Records a failed registration of 'username' by the client that made
+ * 'req'.
+ */
+exports.registrationFailed = function(req, username) {
+  console.log('login guard: failed registration of ' + username + ' from ' +
+              clientAddress(req));
+};
+
+function userKey(user) {
+  return 'user:' + user.split('/', 2)[0].toLowerCase();
+}
+
+function addressKey(req) {
+  return 'address:' + clientAddress(req);
+}
+
+function clientAddress(req) {
+  return req.connection.remoteAddress;
+}
+
+function endAttempt(req, user) {
+  [userKey(user), addressKey(req)].forEach(function(key) {
+    if (--attempts[key] <= 0) {
+      delete attempts[key];
+    }
+  });
+}
+
+function getFailures(key) {
+  var entry = failures[key];
+  if (entry && isStale(entry, Date.now())) {
+    delete failures[key];
+    entry = null;
+  }
+  return entry || {count: 0, last: 0, lockedUntil: 0};
+}
+
+function isStale(entry, now) {
+  return entry.lockedUntil <= now &&
+         now - entry.last > config.loginLockoutTime * 1000;
+}
+
+function countFailure(key, maxFailures) {
+  var entry = getFailures(key);
+  var now = Date.now();
+  entry.count++;
+  entry.last = now;
+  failures[key] = entry;
+  startSweeping();
+
+  if (entry.count >= maxFailures && entry.lockedUntil <= now) {
+    entry.lockedUntil = now + config.loginLockoutTime * 1000;
+    entry.count = 0;
+    console.log('login guard: locked out ' + key + ' for ' +
+                config.loginLockoutTime + 's after ' + maxFailures +
+                ' failed logins');
+  }
+}
+
+function startSweeping() {
+  if (!sweepTimer) {
+    sweepTimer = setInterval(sweep, registrationPeriod * 1000);
+  }
+}
+
+function sweep() {
+  var now = Date.now();
+  for (var key in failures) {
+    if (isStale(failures[key], now)) {
+      delete failures[key];
+    }
+  }
+  for (var address in registrations) {
+    var times = registrations[address];
+    if (now - times[times.length - 1] >= registrationPeriod * 1000) {
+      delete registrations[address];
+    }
+  }
+}
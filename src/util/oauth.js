@@ -0,0 +1,190 @@
+/*
+ * Copyright 2012 Denis Washington <denisw@online.de>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// oauth.js:
+// Provides the state behind the OAuth 2.0 authorization server: registered
+// clients, authorization codes, refresh tokens and scopes.
+//
+// A grant made by a user to a client is represented by an object with the
+// 'clientId', the 'user', the ID of the session it gives access to
+// ('sessionId'), the granted 'scope' (a space-separated string) and the
+// time it 'expires' (in seconds since the epoch). Access tokens are normal
+// bearer tokens (see auth.issueToken()) carrying the grant's scope.
+
+var apikeys = require('./apikeys');
+var cache = require('./cache');
+var config = require('./config');
+
+/**
+ * The supported scopes and their descriptions.
+ */
+exports.scopes = {
+  'read': 'Read channels and metadata you have access to',
+  'publish': 'Publish, edit and delete posts and change channel metadata',
+  'subscribe': 'Subscribe to and unsubscribe from channels',
+  'account': 'Manage your account'
+};
+
+// Authorization codes must be exchanged within 60 seconds
+var codes = new cache.Cache(60);
+
+// token -> grant. Tokens are removed once they are redeemed, when their
+// grant expires and when the session their grant gives access to ends.
+var refreshTokens = {};
+
+/**
+ * Returns the client registered with the passed ID in the "oauthClients"
+ * option, or null if there is no such client.
+ */
+exports.getClient = function(clientId) {
+  var clients = config.oauthClients || {};
+  return clients.hasOwnProperty(clientId) ? clients[clientId] : null;
+};
+
+/**
+ * Returns the redirection URI to use for 'client' if 'redirectUri' was
+ * requested (which may be undefined), or null if it isn't registered.
+ */
+exports.getRedirectUri = function(client, redirectUri) {
+  var registered = client.redirectUris || [];
+  if (!redirectUri) {
+    return registered.length == 1 ? registered[0] : null;
+  }
+  return registered.indexOf(redirectUri) >= 0 ? redirectUri : null;
+};
+
+/**
+ * Normalizes a requested scope string. Returns null if it contains
+ * unknown scopes. If no scope is requested, "read" is assumed.
+ */
+exports.parseScope = function(scope) {
+  var names = (scope || 'read').split(' ').filter(function(name) {
+    return name.length > 0;
+  });
+  for (var i = 0; i < names.length; i++) {
+    if (!exports.scopes.hasOwnProperty(names[i])) {
+      return null;
+    }
+  }
+  return names.length > 0 ? names.join(' ') : null;
+};
+
+/**
+ * Creates an authorization code for a grant. 'redirectUri' is the
+ * redirection URI included in the authorization request, or undefined
+ * if there was none.
+ */
+exports.createCode = function(grant, redirectUri) {
+  var code = codes.generateKey();
+  codes.put(code, {grant: grant, redirectUri: redirectUri || null});
+  return code;
+};
+
+/**
+ * Redeems an authorization code. Returns the grant it stands for, or
+ * null if the code is invalid or wasn't issued to the passed client.
+ * If the authorization request included a redirection URI, the same
+ * 'redirectUri' must be passed (see RFC 6749, section 4.1.3). Each code
+ * can only be redeemed once.
+ */
+exports.redeemCode = function(code, clientId, redirectUri) {
+  var entry = codes.get(code);
+  if (!entry) {
+    return null;
+  }
+  codes.remove(code);
+
+  if (entry.grant.clientId != clientId ||
+      (entry.redirectUri !== null && redirectUri !== entry.redirectUri)) {
+    return null;
+  }
+  return entry.grant;
+};
+
+/**
+ * Creates a refresh token for a grant, valid until the grant expires.
+ */
+exports.createRefreshToken = function(grant) {
+  removeExpiredRefreshTokens();
+  var token = codes.generateKey();
+  refreshTokens[token] = grant;
+  return token;
+};
+
+/**
+ * Redeems a refresh token. Returns its grant, or null if the token is
+ * invalid, expired or wasn't issued to the passed client. Each refresh
+ * token can only be redeemed once; a new one is issued along with the
+ * new access token.
+ */
+exports.redeemRefreshToken = function(token, clientId) {
+  removeExpiredRefreshTokens();
+  var grant = refreshTokens.hasOwnProperty(token) ? refreshTokens[token] : null;
+  if (!grant) {
+    return null;
+  }
+  delete refreshTokens[token];
+
+  if (grant.clientId != clientId) {
+    return null;
+  }
+  return grant;
+};
+
+/**
+ * Revokes the refresh tokens of the grants giving access to the session
+ * with the passed ID, e.g. because the session was ended.
+ */
+exports.revokeRefreshTokens = function(sessionId) {
+  for (var token in refreshTokens) {
+    if (refreshTokens[token].sessionId == sessionId) {
+      delete refreshTokens[token];
+    }
+  }
+};
+
+function removeExpiredRefreshTokens() {
+  var now = Math.floor(Date.now() / 1000);
+  for (var token in refreshTokens) {
+    if (refreshTokens[token].expires <= now) {
+      delete refreshTokens[token];
+    }
+  }
+}
+
+/**
+ * Returns a middleware that rejects requests made with access tokens
+ * which don't include 'scope', and those made with API keys which don't
+ * grant it as operation on any node (see apikeys.js). Requests made with
+ * other credentials (or anonymously) are not affected.
+ */
+exports.requireScope = function(scope) {
+  return function(req, res, next) {
+    if (req.apiKey && !apikeys.allowsOperation(req.apiKey, scope)) {
+      res.send(403);
+      return;
+    }
+    if (req.token && req.token.scope !== undefined &&
+        req.token.scope.split(' ').indexOf(scope) < 0) {
+      res.header('WWW-Authenticate',
+                 'Bearer realm="' + config.xmppDomain + '", ' +
+                 'error="insufficient_scope", scope="' + scope + '"');
+      res.send(403);
+      return;
+    }
+    next();
+  };
+};
@@ -25,6 +25,20 @@ var config = require('./config');
 exports.ns = 'http://jabber.org/protocol/pubsub';
 exports.ownerNS = 'http://jabber.org/protocol/pubsub#owner';
 
+/** The Result Set Management (XEP-0059) XML namespace. */
+exports.rsmNS = 'http://jabber.org/protocol/rsm';
+
+/**
+ * The names of the nodes making up a buddycloud channel.
+ */
+exports.channelNodes = [
+  'posts',
+  'status',
+  'geo/previous',
+  'geo/current',
+  'geo/next'
+];
+
 /**
  * Returns the Pub-Sub node ID for the specified buddycloud channel node.
  */
@@ -57,25 +71,28 @@ exports.metadataIq = function(nodeId) {
 /**
  * Creates a Pub-Sub <items/> IQ that retrieves all items of a node (or
  * up to 'max' items, excluding the item with ID 'after' and all newer
- * ones).
+ * ones, or the item with ID 'before' and all older ones).
  */
-exports.itemsIq = function(nodeId, max, after) {
+exports.itemsIq = function(nodeId, max, after, before) {
   var itemsNode = iq({type: 'get'}).c('items', {node: nodeId});
-  if (max || after) {
+  if (max || after || before) {
     itemsNode.attr('max_items', max); // for XEP-0060 compatibility
-    addRSM(itemsNode.up(), max, after);
+    addRSM(itemsNode.up(), max, after, before);
   }
   return itemsNode.root();
 };
 
-function addRSM(parent, max, after) {
-  var setElem = parent.c('set', {xmlns: 'http://jabber.org/protocol/rsm'});
+function addRSM(parent, max, after, before) {
+  var setElem = parent.c('set', {xmlns: exports.rsmNS});
   if (max) {
     setElem.c('max').t(max);
   }
   if (after) {
     setElem.c('after').t(after);
   }
+  if (before) {
+    setElem.c('before').t(before);
+  }
 }
 
 /**
@@ -90,15 +107,35 @@ exports.singleItemIq = function(nodeId, itemId) {
 };
 
 /**
- * Creates a Pub-Sub <publish/> IQ, which posts an item to a node.
+ * Creates a buddycloud <replies/> IQ that retrieves all items of a node
+ * which are replies to the item with ID 'itemId'.
+ */
+exports.repliesIq = function(nodeId, itemId) {
+  return iq({type: 'get'}).
+    c('replies', {node: nodeId, item_id: itemId}).
+    root();
+};
+
+/**
+ * Creates a Pub-Sub <publish/> IQ, which posts an item to a node. If
+ * 'itemId' is given, the item with that ID is replaced.
  */
-exports.publishIq = function(nodeId, item) {
+exports.publishIq = function(nodeId, item, itemId) {
   return iq({type: 'set'}).c('publish', {node: nodeId}).
-    c('item').
+    c('item', itemId ? {id: itemId} : {}).
     cnode(ltx.parse(item)).
     root();
 };
 
+/**
+ * Creates a Pub-Sub <retract/> IQ, which deletes an item from a node.
+ */
+exports.retractIq = function(nodeId, itemId) {
+  return iq({type: 'set'}).c('retract', {node: nodeId}).
+    c('item', {id: itemId}).
+    root();
+};
+
 /**
  * Creates a Pub-Sub user <affiliations/> IQ, which retrieves a list of all
  * nodes that the requesting user subscribed to.
@@ -144,23 +181,71 @@ exports.unsubscribeIq = function(nodeId, jid) {
     root();
 };
 
+/**
+ * Converts node metadata as submitted by clients (with the keys 'title',
+ * 'description' and 'access_model') to the corresponding node
+ * configuration fields. Unknown keys are ignored.
+ */
+exports.configFields = function(metadata) {
+  var fields = {};
+  for (var key in metadata) {
+    var field = configFieldName(key);
+    if (field) {
+      fields[field] = metadata[key];
+    }
+  }
+  return fields;
+};
+
+function configFieldName(key) {
+  switch (key) {
+  case 'title':        return 'pubsub#title';
+  case 'description':  return 'pubsub#description';
+  case 'access_model': return 'pubsub#access_model';
+  default:             return null;
+  }
+}
+
 /**
  * Creates a Pub-Sub <configure/> IQ which sets a node's configuration.
  */
 exports.configureIq = function(nodeId, fields) {
-  var form = iq({type: 'set'}, exports.ownerNS).
-    c('configure', {node: nodeId}).
-    c('x', {xmlns: 'jabber:x:data', type: 'submit'});
+  var query = iq({type: 'set'}, exports.ownerNS);
+  addConfigForm(query.c('configure', {node: nodeId}), fields);
+  return query.root();
+};
+
+/**
+ * Creates a Pub-Sub <create/> IQ, which creates a node. If 'fields' is
+ * given, the node is created with that configuration instead of the
+ * server's default one.
+ */
+exports.createIq = function(nodeId, fields) {
+  var query = iq({type: 'set'});
+  query.c('create', {node: nodeId});
+  if (fields) {
+    addConfigForm(query.c('configure'), fields);
+  }
+  return query.root();
+};
 
+/**
+ * Creates a Pub-Sub <delete/> IQ, which deletes a node.
+ */
+exports.deleteIq = function(nodeId) {
+  return iq({type: 'set'}, exports.ownerNS).
+    c('delete', {node: nodeId}).
+    root();
+};
+
+function addConfigForm(parent, fields) {
+  var form = parent.c('x', {xmlns: 'jabber:x:data', type: 'submit'});
   addFormField(form, 'FORM_TYPE', 'hidden',
                'http://jabber.org/protocol/pubsub#node_config');
-
   for (var field in fields) {
     addFormField(form, field, 'text-single', fields[field]);
   }
-
-  return form.root();
-};
+}
 
 function addFormField(form, name, type, value) {
   form.c('field', {'var': name, 'type': type}).c('value').t(value);
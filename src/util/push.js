@@ -0,0 +1,227 @@
+/*
+ * Copyright 2012 Denis Washington <denisw@online.de>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// push.js:
+// Pluggable backends for pushing real-time updates to HTTP clients through
+// a publishing proxy. The backend is selected with the "pushBackend" config
+// option:
+//
+// - "fanout": Fanout.io, using its realm-based publishing API.
+// - "grip": Any GRIP proxy (such as Pushpin), using the publish endpoint
+//   at "gripPublishUrl".
+// - "none": No proxy; real-time updates are handled by the server itself.
+//
+// Every backend implements isEnabled(), publish() and sendHoldResponse(),
+// which are exported by this module for the configured backend.
+
+var jwt = require('jwt-simple');
+var url = require('url');
+var config = require('./config');
+var httpclient = require('./httpclient');
+
+var backend;
+
+/**
+ * Sets up the configured backend, so that configuration errors are
+ * reported on startup rather than when the first update is pushed.
+ */
+exports.init = function() {
+  getBackend();
+};
+
+/**
+ * Returns true if a publishing proxy is used.
+ */
+exports.isEnabled = function() {
+  return getBackend().isEnabled();
+};
+
+/**
+ * Publishes an HTTP response to all clients held on the passed channel.
+ * 'id' and 'prevId' identify the published item and its predecessor, which
+ * allows the proxy to detect missed items. 'response' is an object with
+ * 'headers' and 'body' properties.
+ */
+exports.publish = function(channel, id, prevId, response) {
+  getBackend().publish(channel, id, prevId, response);
+};
+
+/**
+ * Responds to an HTTP request with instructions for the proxy to hold
+ * it open on the passed channel. If nothing is published before the
+ * proxy's timeout, the client receives 'response' (an object with
+ * 'headers' and 'body' properties).
+ */
+exports.sendHoldResponse = function(res, channel, prevId, response) {
+  getBackend().sendHoldResponse(res, channel, prevId, response);
+};
+
+function getBackend() {
+  if (!backend) {
+    backend = createBackend(config.pushBackend ||
+                            (config.fanoutRealm ? 'fanout' : 'none'));
+  }
+  return backend;
+}
+
+function createBackend(name) {
+  switch (name) {
+  case 'fanout': return new FanoutBackend(config.fanoutRealm, config.fanoutKey);
+  case 'grip':   return new GripBackend(config.gripPublishUrl, config.gripKey,
+                                        config.gripIssuer);
+  case 'none':   return new NullBackend();
+  default:       throw new Error('Unknown push backend "' + name + '"');
+  }
+}
+
+//// Fanout ////////////////////////////////////////////////////////////////////
+
+function FanoutBackend(realm, key) {
+  this._realm = realm;
+  this._key = key;
+}
+
+FanoutBackend.prototype.isEnabled = function() {
+  return true;
+};
+
+FanoutBackend.prototype.publish = function(channel, id, prevId, response) {
+  var item = {};
+  if (id) {
+    item['id'] = id;
+  }
+  if (prevId) {
+    item['prev-id'] = prevId;
+  }
+  item['http-response'] = response;
+
+  var publishUrl = 'http://api.fanout.io/realm/' + this._realm +
+                   '/publish/' + channel + '/';
+  var authToken = generateToken(this._realm, this._key);
+  postJSON(publishUrl, {items: [item]}, authToken);
+};
+
+FanoutBackend.prototype.sendHoldResponse = function(res, channel, prevId,
+                                                    response) {
+  var c = {};
+  c['name'] = channel;
+  if (prevId) {
+    c['prev-id'] = prevId;
+  }
+
+  var hold = {};
+  hold['mode'] = 'response';
+  hold['channels'] = [c];
+
+  var instruct = {};
+  instruct['hold'] = hold;
+  instruct['response'] = response;
+
+  console.log("sending hold for channel " + channel);
+  res.send(instruct, { 'Content-Type': 'application/fo-instruct' });
+};
+
+//// GRIP //////////////////////////////////////////////////////////////////////
+
+function GripBackend(publishUrl, key, issuer) {
+  var protocol = publishUrl ? url.parse(publishUrl).protocol : null;
+  if (protocol != 'http:' && protocol != 'https:') {
+    throw new Error('The "grip" push backend requires "gripPublishUrl" ' +
+                    'to be set to an HTTP(S) URL');
+  }
+  this._publishUrl = publishUrl;
+  this._key = key;
+  this._issuer = issuer;
+}
+
+GripBackend.prototype.isEnabled = function() {
+  return true;
+};
+
+GripBackend.prototype.publish = function(channel, id, prevId, response) {
+  var item = {};
+  item['channel'] = channel;
+  if (id) {
+    item['id'] = id;
+  }
+  if (prevId) {
+    item['prev-id'] = prevId;
+  }
+  item['formats'] = {'http-response': response};
+
+  var authToken = this._key ? generateToken(this._issuer, this._key) : null;
+  postJSON(this._publishUrl, {items: [item]}, authToken);
+};
+
+GripBackend.prototype.sendHoldResponse = function(res, channel, prevId,
+                                                  response) {
+  var channelHeader = channel;
+  if (prevId) {
+    channelHeader += '; prev-id=' + prevId;
+  }
+
+  var headers = {};
+  for (var name in response.headers) {
+    headers[name] = response.headers[name];
+  }
+  headers['Grip-Hold'] = 'response';
+  headers['Grip-Channel'] = channelHeader;
+
+  console.log("sending hold for channel " + channel);
+  res.send(response.body, headers);
+};
+
+//// No proxy //////////////////////////////////////////////////////////////////
+
+function NullBackend() {}
+
+NullBackend.prototype.isEnabled = function() {
+  return false;
+};
+
+NullBackend.prototype.publish = function(channel, id, prevId, response) {};
+
+NullBackend.prototype.sendHoldResponse = function(res, channel, prevId,
+                                                  response) {
+  res.send(response.body, response.headers);
+};
+
+//// Helpers ///////////////////////////////////////////////////////////////////
+
+function generateToken(issuer, key) {
+  var claim = {};
+  claim['exp'] = Math.floor((new Date()).getTime() / 1000) + 3600;
+  if (issuer) {
+    claim['iss'] = issuer;
+  }
+  return jwt.encode(claim, new Buffer(key, 'base64'));
+}
+
+function postJSON(targetUrl, content, authToken) {
+  var headers = {'Content-Type': 'application/json'};
+  if (authToken) {
+    headers['Authorization'] = 'Bearer ' + authToken;
+  }
+
+  var body = JSON.stringify(content);
+  httpclient.post(targetUrl, body, headers, function(err, res) {
+    if (err) {
+      console.error("publish to " + targetUrl + " failed: " + err);
+    } else {
+      console.log("publish to " + targetUrl + ": " + res.statusCode);
+    }
+  });
+}
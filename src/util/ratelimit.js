@@ -0,0 +1,150 @@
+/*
+ * Copyright 2012 Denis Washington <denisw@online.de>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// ratelimit.js:
+// Token bucket rate limiting for groups of routes. The limits are set
+// with the "rateLimits" config option, which maps each group name
+// ("reads", "publishes", "registration", "sessions") to an object with
+// the number of 'requests' allowed per 'period' (in seconds). Groups
+// without a limit are not restricted.
+//
+// Each client gets its own bucket per group, which holds up to 'requests'
+// tokens and is refilled continuously over 'period'. Clients are told
+// apart by the JID of their session or, for anonymous requests, by their
+// IP address.
+
+var config = require('./config');
+
+// group -> client key -> {tokens, updated}
+var buckets = {};
+
+// Seconds between removals of buckets that have been refilled completely
+var sweepInterval = 60;
+var sweepTimer = null;
+
+/**
+ * Returns a middleware that limits the requests of each client to the
+ * routes of 'group'. For "reads" and "publishes", it must run after
+ * session.provider() so that clients can be identified by their session.
+ */
+exports.limit = function(group) {
+  return function(req, res, next) {
+    limitRequest(group, clientKey(req), req, res, next);
+  };
+};
+
+/**
+ * Middleware that applies the "sessions" limit to requests that will
+ * make session.provider() log into the XMPP server with the supplied
+ * credentials. Clients are identified by their IP address, as their
+ * credentials aren't verified yet.
+ */
+exports.limitSessionCreation = function(req, res, next) {
+  if (req.user && req.password !== undefined &&
+      !req.header('X-Session-Id')) {
+    limitRequest('sessions', clientAddress(req), req, res, next);
+  } else {
+    next();
+  }
+};
+
+function clientKey(req) {
+  if (req.session && req.session.id) {
+    return req.session.jid.split('/', 2)[0];
+  }
+  return clientAddress(req);
+}
+
+function clientAddress(req) {
+  return req.connection.remoteAddress;
+}
+
+function limitRequest(group, key, req, res, next) {
+  var limit = (config.rateLimits || {})[group];
+  if (!limit) {
+    next();
+    return;
+  }
+
+  var rate = limit.requests / limit.period;
+  var bucket = takeToken(group, key, limit.requests, rate);
+  var now = Date.now();
+  var secondsUntilFull = (limit.requests - bucket.tokens) / rate;
+
+  res.header('X-RateLimit-Limit', String(limit.requests));
+  res.header('X-RateLimit-Remaining', String(Math.floor(bucket.tokens)));
+  res.header('X-RateLimit-Reset',
+             String(Math.ceil(now / 1000 + secondsUntilFull)));
+
+  if (bucket.limited) {
+    var retryAfter = Math.ceil((1 - bucket.tokens) / rate);
+    console.log('rate limit for ' + group + ' exceeded by ' + key);
+    res.header('Retry-After', String(retryAfter));
+    res.send(429);
+  } else {
+    next();
+  }
+}
+
+// Refills the client's bucket for the time passed since its last use and
+// takes a token from it if possible. Returns the remaining number of
+// 'tokens' and whether the request is 'limited'.
+function takeToken(group, key, capacity, rate) {
+  if (!buckets[group]) {
+    buckets[group] = {};
+  }
+  startSweeping();
+
+  var now = Date.now();
+  var bucket = buckets[group][key];
+  if (!bucket) {
+    bucket = buckets[group][key] = {tokens: capacity, updated: now};
+  }
+
+  var elapsed = (now - bucket.updated) / 1000;
+  bucket.tokens = Math.min(capacity, bucket.tokens + elapsed * rate);
+  bucket.updated = now;
+
+  if (bucket.tokens < 1) {
+    return {tokens: bucket.tokens, limited: true};
+  }
+  bucket.tokens -= 1;
+  return {tokens: bucket.tokens, limited: false};
+}
+
+function startSweeping() {
+  if (!sweepTimer) {
+    sweepTimer = setInterval(sweepBuckets, sweepInterval * 1000);
+  }
+}
+
+// Buckets that would be full by now behave the same as new ones, so
+// they can be dropped.
+function sweepBuckets() {
+  var now = Date.now();
+  for (var group in buckets) {
+    var limit = (config.rateLimits || {})[group];
+    for (var key in buckets[group]) {
+      var bucket = buckets[group][key];
+      var elapsed = (now - bucket.updated) / 1000;
+      if (!limit ||
+          bucket.tokens + elapsed * limit.requests / limit.period >=
+            limit.requests) {
+        delete buckets[group][key];
+      }
+    }
+  }
+}
@@ -0,0 +1,393 @@
+/*
+ * Copyright 2012 Denis Washington <denisw@online.de>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// registration.js:
+// Account registration with the XMPP server through In-Band Registration
+// (XEP-0077), including registration forms with additional fields such
+// as e-mail addresses or CAPTCHAs (XEP-0004, XEP-0158).
+//
+// node-xmpp's client only registers a username and password and hides
+// the server's reply, so we open a bare XMPP stream instead and exchange
+// the <query/> IQs ourselves before any authentication takes place. As
+// this skips node-xmpp's SRV lookup, the server is reached at the
+// configured xmppHost (or the XMPP domain) and xmppPort.
+
+var xmpp = require('node-xmpp');
+var config = require('./config');
+
+var registerNS = 'jabber:iq:register';
+var dataFormsNS = 'jabber:x:data';
+var mediaNS = 'urn:xmpp:media-element';
+var bobNS = 'urn:xmpp:bob';
+
+// Names of the fields of the registration form last received from the
+// server, or null if it wasn't retrieved yet
+var advertisedFields = null;
+
+/**
+ * Retrieves the server's registration form. The callback gets an error
+ * (if any) and the form as JSON-compatible object with the server's
+ * 'instructions', the names of the requested 'fields' (like "username",
+ * "password" or "email") and, if the server uses a data form, the data
+ * form as 'form' (see formToJSON()).
+ */
+exports.getForm = function(callback) {
+  openConnection(function(err, connection) {
+    if (err) {
+      callback(err);
+      return;
+    }
+    connection.query(new xmpp.Iq({type: 'get'}), function(reply) {
+      connection.end();
+      if (reply.attrs.type != 'result') {
+        callback(new Error('Registration form not available'));
+      } else {
+        advertisedFields = fieldNames(reply.getChild('query', registerNS));
+        callback(null, replyToJSON(reply));
+      }
+    });
+  });
+};
+
+/**
+ * Returns the names of the fields in 'fields' (see register()) which
+ * the server's registration form doesn't have. Until the form was
+ * retrieved (by getForm() or register()), only register() can tell, so
+ * an empty array is returned.
+ */
+exports.unknownFields = function(fields) {
+  return advertisedFields ? findUnknownFields(advertisedFields, fields) : [];
+};
+
+/**
+ * Registers an account. 'fields' maps the names of the registration
+ * form's fields (see getForm()) to the submitted values, and must at
+ * least contain "username" and "password". The callback gets an error
+ * (if the server couldn't be reached) and, if the server refused the
+ * registration, the error condition (like "conflict") and the server's
+ * explanation, if any. Fields which the form doesn't have are refused
+ * with "bad-request" without submitting them.
+ */
+exports.register = function(fields, callback) {
+  openConnection(function(err, connection) {
+    if (err) {
+      callback(err);
+      return;
+    }
+    connection.query(new xmpp.Iq({type: 'get'}), function(formReply) {
+      if (formReply.attrs.type != 'result') {
+        connection.end();
+        callback(null, errorCondition(formReply), errorText(formReply));
+        return;
+      }
+
+      var query = formReply.getChild('query', registerNS);
+      advertisedFields = fieldNames(query);
+      var unknown = findUnknownFields(advertisedFields, fields);
+      if (unknown.length > 0) {
+        connection.end();
+        callback(null, 'bad-request', 'Unknown fields: ' + unknown.join(', '));
+        return;
+      }
+
+      var iq = submissionIq(query, fields);
+      connection.query(iq, function(reply) {
+        connection.end();
+        if (reply.attrs.type == 'result') {
+          callback(null, null);
+        } else {
+          callback(null, errorCondition(reply), errorText(reply));
+        }
+      });
+    });
+  });
+};
+
+// Opens an XMPP connection which is left unauthenticated. The callback
+// gets an object with a query() method for sending registration IQs and
+// an end() method for closing the connection.
+function openConnection(callback) {
+  var connection = new xmpp.Connection.Connection();
+  connection.xmlns[''] = 'jabber:client';
+  connection.xmppVersion = '1.0';
+  connection.streamTo = config.xmppDomain;
+
+  var handlers = {};
+  var nextId = 0;
+
+  var called = false;
+  var finish = function(err) {
+    if (called) {
+      return;
+    }
+    called = true;
+    clearTimeout(connectTimeout);
+    if (err) {
+      end();
+      callback(err);
+    } else {
+      callback(null, {query: query, end: end});
+    }
+  };
+
+  var connectTimeout = setTimeout(function() {
+    finish(new Error('Timeout while connecting to the XMPP server'));
+  }, config.requestExpirationTime * 1000);
+
+  function query(iq, onreply) {
+    var id = 'register' + (nextId++);
+    iq.attr('id', id);
+    iq.attr('to', config.xmppDomain);
+    handlers[id] = {
+      onreply: onreply,
+      timeout: setTimeout(function() {
+        delete handlers[id];
+        onreply(timeoutError());
+      }, config.requestExpirationTime * 1000)
+    };
+    if (!iq.getChild('query', registerNS)) {
+      iq.c('query', {xmlns: registerNS});
+    }
+    if (connection.socket) {
+      connection.send(iq.root());
+    } else {
+      process.nextTick(failPendingQueries);
+    }
+  }
+
+  // node-xmpp drops the socket once it is closed
+  function end() {
+    if (connection.socket) {
+      connection.end();
+    }
+  }
+
+  // Fails the queries still waiting for a reply once the connection is
+  // gone, as their replies can't arrive anymore
+  function failPendingQueries() {
+    for (var id in handlers) {
+      var handler = handlers[id];
+      delete handlers[id];
+      clearTimeout(handler.timeout);
+      handler.onreply(timeoutError());
+    }
+  }
+
+  // The stream is ready for registration once the server has sent its
+  // features (node-xmpp takes care of any TLS negotiation before)
+  connection.on('rawStanza', function(stanza) {
+    if (stanza.is('features', xmpp.Connection.NS_STREAM)) {
+      finish(null);
+      return;
+    }
+
+    var handler = handlers[stanza.attrs.id];
+    if (stanza.is('iq') && handler) {
+      delete handlers[stanza.attrs.id];
+      clearTimeout(handler.timeout);
+      handler.onreply(stanza);
+    }
+  });
+
+  connection.on('error', function(err) {
+    finish(err);
+    failPendingQueries();
+  });
+  connection.on('close', function() {
+    finish(new Error('XMPP server closed the connection'));
+    failPendingQueries();
+  });
+
+  connection.socket.on('connect', function() {
+    connection.startParser();
+    connection.startStream();
+  });
+  connection.socket.connect(config.xmppPort || 5222,
+                            config.xmppHost || config.xmppDomain);
+}
+
+function timeoutError() {
+  return new xmpp.Iq({type: 'error'}).
+    c('error', {type: 'wait'}).
+    c('remote-server-timeout').
+    root();
+}
+
+function replyToJSON(reply) {
+  var query = reply.getChild('query', registerNS);
+  var result = {
+    instructions: query.getChildText('instructions') || undefined,
+    fields: legacyFieldNames(query)
+  };
+
+  var form = query.getChild('x', dataFormsNS);
+  if (form) {
+    result.form = formToJSON(form, bobData(reply));
+  }
+  return result;
+}
+
+// Returns the names of the fields of a registration form without a data
+// form (like "username" or "email").
+function legacyFieldNames(query) {
+  var names = [];
+  query.children.forEach(function(child) {
+    if (typeof child != 'string' && child.getNS() == registerNS &&
+        child.getName() != 'instructions') {
+      names.push(child.getName());
+    }
+  });
+  return names;
+}
+
+// Returns the names of all fields a registration form can be filled out
+// with, including those of its data form. The username and password are
+// always accepted.
+function fieldNames(query) {
+  var names = ['username', 'password'].concat(legacyFieldNames(query));
+  var form = query.getChild('x', dataFormsNS);
+  if (form) {
+    form.getChildren('field').forEach(function(field) {
+      if (field.attrs['var']) {
+        names.push(field.attrs['var']);
+      }
+    });
+  }
+  return names;
+}
+
+function findUnknownFields(names, fields) {
+  return Object.keys(fields).filter(function(name) {
+    return names.indexOf(name) < 0;
+  });
+}
+
+// Converts a data form to an object with the form's 'title' and
+// 'instructions' and its 'fields', each with the field's 'var', 'type',
+// 'label', whether it is 'required', its default 'value' (an array for
+// multi-value fields), its 'options' (each with 'label' and 'value') and
+// any 'media' (like CAPTCHA images, each with 'type' and 'uri').
+function formToJSON(form, data) {
+  return {
+    title: form.getChildText('title') || undefined,
+    instructions: form.getChildText('instructions') || undefined,
+    fields: form.getChildren('field').map(function(field) {
+      return fieldToJSON(field, data);
+    })
+  };
+}
+
+function fieldToJSON(field, data) {
+  var values = field.getChildren('value').map(function(value) {
+    return value.getText();
+  });
+  var isMulti = /-multi$/.test(field.attrs.type || '');
+
+  var result = {
+    'var': field.attrs['var'],
+    type: field.attrs.type || 'text-single',
+    label: field.attrs.label,
+    required: !!field.getChild('required'),
+    value: isMulti ? values : values[0]
+  };
+
+  var options = field.getChildren('option');
+  if (options.length > 0) {
+    result.options = options.map(function(option) {
+      return {label: option.attrs.label, value: option.getChildText('value')};
+    });
+  }
+
+  var media = field.getChild('media', mediaNS);
+  if (media) {
+    result.media = media.getChildren('uri').map(function(uri) {
+      return {type: uri.attrs.type, uri: resolveUri(uri.getText(), data)};
+    });
+  }
+  return result;
+}
+
+// Collects the Bits of Binary (XEP-0231) data sent along with a form,
+// which CAPTCHA images are usually referenced from.
+function bobData(reply) {
+  var data = {};
+  var elements = reply.getChildren('data', bobNS).concat(
+    reply.getChild('query', registerNS).getChildren('data', bobNS));
+  elements.forEach(function(element) {
+    data['cid:' + element.attrs.cid] = element;
+  });
+  return data;
+}
+
+function resolveUri(uri, data) {
+  var element = data[uri];
+  if (!element) {
+    return uri;
+  }
+  return 'data:' + element.attrs.type + ';base64,' +
+         element.getText().replace(/\s+/g, '');
+}
+
+// Fills out the registration form with the submitted fields. Hidden data
+// form fields (like the form type or a CAPTCHA challenge) are sent back
+// as received.
+function submissionIq(query, fields) {
+  var iq = new xmpp.Iq({type: 'set'});
+  var submission = iq.c('query', {xmlns: registerNS});
+
+  var form = query.getChild('x', dataFormsNS);
+  if (form) {
+    var x = submission.c('x', {xmlns: dataFormsNS, type: 'submit'});
+    form.getChildren('field').forEach(function(field) {
+      var name = field.attrs['var'];
+      var value = fields.hasOwnProperty(name) ? fields[name] :
+        (field.attrs.type == 'hidden' ? field.getChildText('value') : null);
+      if (name && value !== null && value !== undefined) {
+        var element = x.c('field', {'var': name});
+        [].concat(value).forEach(function(v) {
+          element.c('value').t(String(v));
+        });
+      }
+    });
+  } else {
+    query.children.forEach(function(child) {
+      if (typeof child != 'string' && child.getNS() == registerNS &&
+          fields.hasOwnProperty(child.getName())) {
+        submission.c(child.getName()).t(String(fields[child.getName()]));
+      }
+    });
+  }
+  return iq;
+}
+
+function errorCondition(reply) {
+  var error = reply.getChild('error');
+  var condition = null;
+  if (error) {
+    error.children.forEach(function(child) {
+      if (typeof child != 'string' && child.getName() != 'text' &&
+          !condition) {
+        condition = child.getName();
+      }
+    });
+  }
+  return condition || 'undefined-condition';
+}
+
+function errorText(reply) {
+  var error = reply.getChild('error');
+  return (error && error.getChildText('text')) || undefined;
+}
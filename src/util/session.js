@@ -17,87 +17,673 @@
 // session.js:
 // Handles session management.
 
+var crypto = require('crypto');
 var xmpp = require('node-xmpp');
-var http = require('http');
 var xml = require('libxmljs');
 var iso8601 = require('iso8601');
-var jwt = require('jwt-simple');
+var anonpool = require('./anonpool');
 var api = require('./api');
 var cache = require('./cache');
 var config = require('./config');
+var cookies = require('./cookies');
+var loginguard = require('./loginguard');
+var oauth = require('./oauth');
 var pubsub = require('./pubsub');
+var push = require('./push');
+var sessionstore = require('./sessionstore');
 var atom = require('./atom');
+var apikeys = require('./apikeys');
+
+var anonymousPool;
+
+// Names of the cookies used with the "cookieSessions" option
+var sessionCookie = 'session_id';
+var csrfCookie = 'csrf_token';
+
+// Methods that don't require a CSRF token
+var safeMethods = ['GET', 'HEAD', 'OPTIONS'];
 
-var anonymousSession;
 var sessionCache = new cache.Cache(config.sessionExpirationTime);
-sessionCache.onexpired = function(_, session) {
-  session.end();
+sessionCache.onexpired = function(sessionId, session) {
+  expireSession(session);
+  removeRecordIfExpired(sessionId);
 };
 
+// Sessions opened for API keys, by key ID. They have no session ID, so
+// that they can't be used without the key.
+var keySessionCache = new cache.Cache(config.sessionExpirationTime);
+keySessionCache.onexpired = function(keyId, session) {
+  expireSession(session);
+};
+
+// Key ID -> callbacks waiting for the key's session to be opened
+var openingKeySessions = {};
+
+// Session ID -> callbacks waiting for the session to be resumed
+var resumingSessions = {};
+
+function expireSession(session) {
+  session._expired = true;
+  if (!session._retainCount) {
+    session.end();
+  }
+}
+
 /**
  * Middleware that sets req.session to a Session object matching the
  * request's supplied session ID or it's authentication credentials.
  * It is assumed to run afer auth.parser().
+ *
+ * Sessions are recorded in the session store (see sessionstore.js), so
+ * a session created by another server instance sharing the store can be
+ * used as well. In that case, a new XMPP connection is established with
+ * the recorded credentials and the session's temporary subscriptions are
+ * renewed on it. Requests whose credentials name another user than the
+ * one of the supplied session are rejected, and req.user is set to the
+ * session's user, so that it can't be spoofed.
+ *
+ * If the "cookieSessions" option is enabled, the session ID is also
+ * issued as HttpOnly cookie, which is accepted in place of the
+ * "X-Session-Id" header. Requests authenticated by that cookie must
+ * carry the CSRF token issued alongside it (as cookie and in the
+ * "X-CSRF-Token" response header) in their "X-CSRF-Token" header,
+ * unless they are GET, HEAD or OPTIONS requests.
  */
 exports.provider = function(req, res, next) {
   var sessionId = req.header('X-Session-Id');
-  if (sessionId) {
+  var cookieSessionId = config.cookieSessions ?
+    cookies.get(req, sessionCookie) : undefined;
+
+  if (req.apiKey) {
+    processApiKey(req.apiKey, req, res, next);
+  } else if (req.token) {
+    processToken(req.token, req, res, next);
+  } else if (sessionId) {
     processSessionId(sessionId, req, res, next);
   } else if (req.user) {
     createSession(req, res, next);
+  } else if (cookieSessionId) {
+    processSessionCookie(cookieSessionId, req, res, next);
   } else {
     useAnonymousSession(req, res, next);
   }
 };
 
+/**
+ * Like provider(), but always provides the shared anonymous session,
+ * regardless of the request's credentials.
+ */
+exports.anonymousProvider = function(req, res, next) {
+  useAnonymousSession(req, res, next);
+};
+
+/**
+ * Returns the interval (in seconds) in which long-lived requests must
+ * call touch() on their session so that it doesn't expire. It is at most
+ * 'maxInterval'.
+ */
+exports.touchInterval = function(maxInterval) {
+  return Math.min(maxInterval, config.sessionExpirationTime / 2);
+};
+
+/**
+ * Makes the client delete the session and CSRF token cookies issued
+ * by provider().
+ */
+exports.clearCookies = function(res) {
+  if (config.cookieSessions) {
+    cookies.clear(res, sessionCookie);
+    cookies.clear(res, csrfCookie);
+  }
+};
+
+/**
+ * Returns the bare JID of the user 'session' is logged in as, or null if
+ * it is an anonymous session. Unlike req.user, which is only the user
+ * named in the request's credentials, this is the identity verified by
+ * the XMPP server, so resources must use it to decide whose data to act
+ * on.
+ */
+exports.getUser = function(session) {
+  if (!session._record && !session._apiKey) {
+    return null;
+  }
+  return bareJid(session.jid);
+};
+
+/**
+ * Returns the XMPP password of the user 'session' belongs to, or null
+ * if the session is anonymous or was opened for an API key.
+ */
+exports.getPassword = function(session) {
+  return session._record ? session._record.password : null;
+};
+
+/**
+ * Closes the session opened for the API key with the passed ID (if any),
+ * e.g. after the key was revoked.
+ */
+exports.endKeySession = function(keyId) {
+  if (keySessionCache.has(keyId)) {
+    var session = keySessionCache.get(keyId);
+    keySessionCache.remove(keyId);
+    expireSession(session);
+  }
+};
+
+/**
+ * Allows 'session' to be used with bearer tokens referring to its ID
+ * (see auth.issueToken()) until 'expires' (in seconds since the epoch),
+ * even if it expired in the meantime.
+ */
+exports.enableTokenAccess = function(session, expires) {
+  session._record.tokenExpires = expires;
+  sessionstore.save(session._record);
+};
+
+/**
+ * Calls 'callback' with an error (if any) and whether bearer tokens for
+ * the session with the passed ID are still accepted (see
+ * enableTokenAccess()).
+ */
+exports.isTokenAccessEnabled = function(sessionId, callback) {
+  sessionstore.load(sessionId, function(err, record) {
+    callback(err, !!record && isTokenAccessEnabled(record));
+  });
+};
+
+/**
+ * Creates a new session for 'user' outside of provider(), e.g. for
+ * credentials submitted in a form. 'req' is the request made by the
+ * client that logs in. When the XMPP login is complete, 'callback' is
+ * called with an error (if any) and the session, which is null if the
+ * login failed. If it failed because of too many failed logins (see
+ * loginguard.js), the number of seconds until the next attempt is allowed
+ * is passed as third argument.
+ */
+exports.login = function(req, user, password, callback) {
+  guardedLogin(req, user, password, function(err, session, lockedFor) {
+    if (session) {
+      sessionCache.put(session.id, session);
+      recordSessionUse(session, newRecord(session, req, user, password));
+    }
+    callback(err, session, lockedFor);
+  });
+};
+
+/**
+ * Opens a session for 'user' outside of any request, e.g. to restore
+ * webhooks after a restart. The session has no ID, so clients can't use
+ * it, and its connection is closed once it isn't retained anymore (see
+ * Session.retain()). The callback gets an error (if any) and the session,
+ * which is null if the login was refused.
+ */
+exports.openDetached = function(user, password, callback) {
+  openSession(user, password, null, function(err, session) {
+    if (err == 'XMPP authentication failure') {
+      callback(null, null);
+    } else if (err) {
+      callback(err, null);
+    } else {
+      session._expired = true;
+      callback(null, session);
+    }
+  });
+};
+
+/**
+ * Ends the session with the passed ID immediately instead of waiting for
+ * it to expire. Bearer tokens and OAuth refresh tokens referring to the
+ * session become invalid. If the session's XMPP connection is held by
+ * another server instance, it is closed as soon as that instance notices
+ * the session's removal.
+ */
+exports.endSession = function(sessionId, callback) {
+  var session = sessionCache.has(sessionId) ? sessionCache.get(sessionId) : null;
+  sessionCache.remove(sessionId);
+  if (session) {
+    expireSession(session);
+  }
+  oauth.revokeRefreshTokens(sessionId);
+  sessionstore.remove(sessionId, callback);
+};
+
+/**
+ * Ends all sessions of the user with the passed bare JID, except the one
+ * with ID 'exceptId' (which may be null). The callback gets an error, if
+ * any.
+ */
+exports.endUserSessions = function(jid, exceptId, callback) {
+  exports.listSessions(jid, function(err, sessions) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    var ids = sessions.map(function(info) {
+      return info.id;
+    }).filter(function(id) {
+      return id != exceptId;
+    });
+    var remaining = ids.length;
+    var firstError = null;
+    if (remaining == 0) {
+      callback(null);
+      return;
+    }
+    ids.forEach(function(id) {
+      exports.endSession(id, function(err) {
+        firstError = firstError || err;
+        if (--remaining == 0) {
+          callback(firstError);
+        }
+      });
+    });
+  });
+};
+
+/**
+ * Records that the password of the user 'session' belongs to was changed
+ * to 'password', so that the session can still be resumed.
+ */
+exports.updatePassword = function(session, password) {
+  if (session._record) {
+    session._record.password = password;
+    sessionstore.save(session._record);
+  }
+};
+
+/**
+ * Calls 'callback' with an error (if any) and information about the
+ * active sessions of the user with the passed bare JID. These include
+ * sessions that have expired, but can still be resumed with a bearer
+ * token. Each session is described by an object with its 'id', the
+ * 'user' (as bare JID), the time it was 'created' and 'lastUsed' (in
+ * milliseconds since the epoch) and the 'userAgent' and IP 'address' of
+ * the client that created it.
+ */
+exports.listSessions = function(jid, callback) {
+  sessionstore.list(function(err, records) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    var result = [];
+    records.forEach(function(record) {
+      if (isRecordExpired(record)) {
+        sessionstore.remove(record.id);
+      } else if (bareJid(record.user) == jid) {
+        result.push(getSessionInfo(record));
+      }
+    });
+    callback(null, result);
+  });
+};
+
+/**
+ * Calls 'callback' with an error (if any) and information about the
+ * active session with the passed ID (see listSessions()), or null if
+ * there is no such session.
+ */
+exports.getSessionInfo = function(sessionId, callback) {
+  sessionstore.load(sessionId, function(err, record) {
+    if (err || !record || isRecordExpired(record)) {
+      callback(err, null);
+    } else {
+      callback(null, getSessionInfo(record));
+    }
+  });
+};
+
+function getSessionInfo(record) {
+  return {
+    id: record.id,
+    user: bareJid(record.user),
+    created: record.created,
+    lastUsed: record.lastUsed,
+    userAgent: record.userAgent,
+    address: record.address
+  };
+}
+
+function bareJid(jid) {
+  return jid.split('/', 2)[0];
+}
+
+function isTokenAccessEnabled(record) {
+  return !!record.tokenExpires && record.tokenExpires * 1000 > Date.now();
+}
+
+function isRecordExpired(record) {
+  var idleTime = Date.now() - record.lastUsed;
+  return idleTime >= config.sessionExpirationTime * 1000 &&
+         !isTokenAccessEnabled(record);
+}
+
+function removeRecordIfExpired(sessionId) {
+  sessionstore.load(sessionId, function(err, record) {
+    if (record && isRecordExpired(record)) {
+      sessionstore.remove(sessionId);
+    }
+  });
+}
+
+function processToken(token, req, res, next) {
+  sessionstore.load(token.sid, function(err, record) {
+    if (err) {
+      next(err);
+    } else if (!record || record.user != token.sub ||
+               !isTokenAccessEnabled(record)) {
+      api.sendUnauthorized(res);
+    } else {
+      resumeSession(record, req, res, next);
+    }
+  });
+}
+
+function processApiKey(key, req, res, next) {
+  var session = keySessionCache.get(key.id);
+  if (session) {
+    session._apiKey = key;
+    req.session = session;
+    next();
+    return;
+  }
+
+  var waiting = openingKeySessions[key.id];
+  if (waiting) {
+    waiting.push(function() {
+      processApiKey(key, req, res, next);
+    });
+    return;
+  }
+
+  openingKeySessions[key.id] = [];
+  openSession(key.user, key.password, null, function(err, session) {
+    waiting = openingKeySessions[key.id];
+    delete openingKeySessions[key.id];
+
+    if (err == 'XMPP authentication failure') {
+      // The password was changed since the key was created
+      api.sendUnauthorized(res);
+    } else if (err) {
+      next(err);
+    } else {
+      keySessionCache.put(key.id, session);
+      processApiKey(key, req, res, next);
+    }
+    waiting.forEach(function(callback) {
+      callback();
+    });
+  });
+}
+
 function processSessionId(sessionId, req, res, next) {
-  var session = sessionCache.get(sessionId);
+  sessionstore.load(sessionId, function(err, record) {
+    if (err) {
+      next(err);
+    } else if (record && !isRecordExpired(record)) {
+      if (req.user && bareJid(req.user) != bareJid(record.user)) {
+        // The credentials don't belong to the session
+        api.sendUnauthorized(res);
+      } else {
+        resumeSession(record, req, res, next);
+      }
+    } else {
+      dropLocalSession(sessionId);
+      if (req.user) {
+        createSession(req, res, next);
+      } else {
+        api.sendUnauthorized(res);
+      }
+    }
+  });
+}
+
+function processSessionCookie(sessionId, req, res, next) {
+  sessionstore.load(sessionId, function(err, record) {
+    if (err) {
+      next(err);
+    } else if (record && !isRecordExpired(record)) {
+      if (hasValidCsrfToken(record, req)) {
+        resumeSession(record, req, res, next);
+      } else {
+        res.send(403);
+      }
+    } else {
+      dropLocalSession(sessionId);
+      exports.clearCookies(res);
+      api.sendUnauthorized(res);
+    }
+  });
+}
+
+// Double-submit check: the token in the "X-CSRF-Token" header must match
+// the CSRF token cookie, which only requests from pages allowed to read
+// the cookie or our responses can know. It must also be the one issued
+// for the session, so that a cookie planted by another site is useless.
+function hasValidCsrfToken(record, req) {
+  if (safeMethods.indexOf(req.method) >= 0) {
+    return true;
+  }
+  var token = req.header('X-CSRF-Token');
+  return !!token && !!record.csrfToken &&
+         token == cookies.get(req, csrfCookie) &&
+         token == record.csrfToken;
+}
+
+// Closes the local connection of a session that has been ended by another
+// server instance.
+function dropLocalSession(sessionId) {
+  if (sessionCache.has(sessionId)) {
+    var session = sessionCache.get(sessionId);
+    sessionCache.remove(sessionId);
+    expireSession(session);
+  }
+}
+
+function resumeSession(record, req, res, next) {
+  var session = sessionCache.get(record.id);
   if (session) {
-    provideSession(session, req, res, next);
-  } else if (req.user) {
-    createSession(req, res, next);
-  } else {
-    api.sendUnauthorized(res);
+    provideSession(session, record, req, res, next);
+    return;
+  }
+
+  // Concurrent requests wait for the same connection to be opened
+  var waiting = resumingSessions[record.id];
+  if (waiting) {
+    waiting.push(function(err) {
+      if (err) {
+        next(err);
+      } else if (sessionCache.has(record.id)) {
+        resumeSession(record, req, res, next);
+      } else {
+        api.sendUnauthorized(res);
+      }
+    });
+    return;
   }
+
+  // The session was created by another server instance, or its local
+  // connection was closed after a period of inactivity.
+  resumingSessions[record.id] = [];
+  openSession(record.user, record.password, record.id, function(err, session) {
+    waiting = resumingSessions[record.id];
+    delete resumingSessions[record.id];
+
+    if (err == 'XMPP authentication failure') {
+      // The password was changed in the meantime
+      exports.endSession(record.id);
+      api.sendUnauthorized(res);
+      err = null;
+    } else if (err) {
+      next(err);
+    } else {
+      (record.subscriptions || []).forEach(function(nodeId) {
+        session.subscribe(nodeId, function() {}, function() {});
+      });
+      provideSession(session, record, req, res, next);
+    }
+    waiting.forEach(function(callback) {
+      callback(err);
+    });
+  });
 }
 
-function provideSession(session, req, res, next) {
+function provideSession(session, record, req, res, next) {
   req.session = session;
   if (session.id) {
+    // Requests made with a session ID or cookie may carry no credentials
+    req.user = record.user;
     sessionCache.put(session.id, session);
-    res.header('X-Session-Id', session.id);
+    var changed = false;
+    if (config.cookieSessions && !record.csrfToken) {
+      // Recorded before cookie sessions were enabled
+      record.csrfToken = generateCsrfToken();
+      changed = true;
+    }
+    recordSessionUse(session, record, changed);
+    // A session ID gives full access to the account, so clients holding
+    // a token (possibly restricted to some scopes) must not learn it
+    if (!req.token) {
+      res.header('X-Session-Id', session.id);
+      if (config.cookieSessions) {
+        issueCookies(session, record, req, res);
+      }
+    }
   }
   next();
 }
 
+function issueCookies(session, record, req, res) {
+  res.header('X-CSRF-Token', record.csrfToken);
+  if (cookies.get(req, sessionCookie) == session.id &&
+      cookies.get(req, csrfCookie) == record.csrfToken) {
+    return;
+  }
+
+  var options = {
+    secure: true,
+    sameSite: config.cookieSameSite
+  };
+  cookies.set(res, csrfCookie, record.csrfToken, options);
+  options.httpOnly = true;
+  cookies.set(res, sessionCookie, session.id, options);
+}
+
+function generateCsrfToken() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+function newRecord(session, req, user, password) {
+  return {
+    id: session.id,
+    user: user,
+    password: password,
+    created: Date.now(),
+    userAgent: req.header('User-Agent'),
+    address: req.connection.remoteAddress,
+    csrfToken: generateCsrfToken(),
+    subscriptions: []
+  };
+}
+
+// Saves the record of 'session' with the current time as 'lastUsed'. As
+// this happens on every request, the record is only saved if it was
+// 'changed' otherwise or if it was last used some time ago, which is
+// precise enough to tell when the session expires.
+function recordSessionUse(session, record, changed) {
+  var now = Date.now();
+  var saveInterval = config.sessionExpirationTime * 1000 / 10;
+  session._record = record;
+  if (changed || record.lastUsed === undefined ||
+      now - record.lastUsed >= saveInterval) {
+    record.lastUsed = now;
+    sessionstore.save(record);
+  }
+}
+
+// Called by Session.subscribe() so that the subscription can be renewed
+// when the session is resumed on another connection.
+function recordSubscription(session, nodeId) {
+  var record = session._record;
+  if (record && record.subscriptions.indexOf(nodeId) < 0) {
+    record.subscriptions.push(nodeId);
+    sessionstore.save(record);
+  }
+}
+
 function createSession(req, res, next) {
-  var options = xmppConnectionOptions(req);
+  guardedLogin(req, req.user, req.password, function(err, session, lockedFor) {
+    if (err) {
+      next(err);
+    } else if (lockedFor) {
+      res.header('Retry-After', String(lockedFor));
+      res.send(429);
+    } else if (!session) {
+      api.sendUnauthorized(res);
+    } else {
+      var record = newRecord(session, req, req.user, req.password);
+      provideSession(session, record, req, res, next);
+    }
+  });
+}
+
+// Like openSession(), but subject to brute-force protection (see
+// loginguard.js). The callback gets an error (if any), the session (or
+// null if the login failed) and, if the login was refused because of
+// earlier failures, the number of seconds until it may be retried.
+function guardedLogin(req, user, password, callback) {
+  loginguard.beforeLogin(req, user, function(lockedFor) {
+    if (lockedFor) {
+      callback(null, null, lockedFor);
+      return;
+    }
+
+    var sessionId = sessionCache.generateKey();
+    openSession(user, password, sessionId, function(err, session) {
+      // FIXME: Checking the error type bassed on the error message
+      // is fragile, but this is the only information that node-xmpp
+      // gives us.
+      if (err == 'XMPP authentication failure') {
+        loginguard.loginFailed(req, user);
+        callback(null, null, 0);
+      } else if (err) {
+        loginguard.loginAborted(req, user);
+        callback(err);
+      } else {
+        loginguard.loginSucceeded(req, user);
+        callback(null, session, 0);
+      }
+    });
+  });
+}
+
+// Calls 'callback' once the XMPP login succeeded or failed. Errors
+// occurring later are handled by the session itself.
+function openSession(user, password, sessionId, callback) {
+  var options = xmppConnectionOptions(user, password);
   var client = new xmpp.Client(options);
-  var session;
+  var session = null;
 
   client.on('online', function() {
-    var sessionId = req.user ? sessionCache.generateKey() : null;
-    session = new Session(sessionId, client);
-    provideSession(session, req, res, next);
+    session = new Session(sessionId, client, options);
+    callback(null, session);
   });
 
   client.on('error', function(err) {
-    // FIXME: Checking the error type bassed on the error message
-    // is fragile, but this is the only information that node-xmpp
-    // gives us.
-    if (err == 'XMPP authentication failure') {
-      api.sendUnauthorized(res);
-    } else {
-      next(err);
+    if (!session) {
+      callback(err);
     }
   });
 }
 
-function xmppConnectionOptions(req) {
-  if (req.user) {
+function xmppConnectionOptions(user, password) {
+  if (user) {
     return {
-      jid: req.user,
-      password: req.password,
+      jid: user,
+      password: password,
       host: config.xmppHost,
       port: config.xmppPort
     };
@@ -114,27 +700,75 @@ function xmppConnectionOptions(req) {
 }
 
 function useAnonymousSession(req, res, next) {
-  if (anonymousSession) {
-    provideSession(anonymousSession, req, res, next);
-  } else {
-    createSession(req, res, function(err) {
-      if (!err)
-        anonymousSession = req.session;
+  if (!anonymousPool) {
+    anonymousPool = new anonpool.AnonymousPool(
+      config.anonymousPoolSize,
+      config.anonymousPoolDispatch,
+      function(callback) {
+        openSession(null, null, null, callback);
+      },
+      replaceAnonymousSession);
+  }
+  anonymousPool.get(anonymousSessionKey(req), function(err, session) {
+    if (err) {
       next(err);
+    } else {
+      provideSession(session, null, req, res, next);
+    }
+  });
+}
+
+// Requests about a node always get the same anonymous session, as it
+// holds the temporary subscription to the node (e.g. the items cursor
+// which a later request to /<channel>/next/<node> refers to).
+function anonymousSessionKey(req) {
+  if (req.params && req.params.channel && req.params.node) {
+    return pubsub.channelNodeId(req.params.channel, req.params.node);
+  }
+  return null;
+}
+
+// Expires a session which was removed from the anonymous session pool,
+// after letting its users move over to the replacement (if any) with
+// the listeners registered by Session.onReplaced().
+function replaceAnonymousSession(session, replacement) {
+  var listeners = session._replacedListeners;
+  session._replacedListeners = [];
+  if (replacement) {
+    listeners.forEach(function(listener) {
+      listener(replacement);
     });
   }
+  expireSession(session);
 }
 
+// Delay (in seconds) before the first attempt to reestablish a lost XMPP
+// connection, which doubles with every failed attempt up to the maximum.
+var initialReconnectDelay = 1;
+var maxReconnectDelay = 60;
 
-function Session(id, connection) {
+function Session(id, connection, connectionOptions) {
   this.id = id;
   this.jid = connection.jid.toString();
   this._connection = connection;
+  this._connectionOptions = connectionOptions;
+  this._connected = true;
+  this._ended = false;
+  this._reconnectAttempts = 0;
+  this._reconnectTime = null;
+  this._reconnectTimeout = null;
   this._replyHandlers = new cache.Cache(config.requestExpirationTime);
   this._subs = new cache.Cache(config.sessionExpirationTime);
   this._subsPresences = {}; // refcounts
+  this._nodeListeners = {};
+  this._replacedListeners = [];
+  this._retainCount = 0;
+  this._record = null;
+  this._apiKey = null;
+  this._expired = false;
   this._setupExpirationHandler();
   this._setupStanzaListener();
+  this._setupConnectionListeners(connection);
 }
 
 Session.prototype._setupExpirationHandler = function() {
@@ -157,6 +791,172 @@ Session.prototype._setupExpirationHandler = function() {
   };*/
 };
 
+Session.prototype._setupConnectionListeners = function(connection) {
+  var self = this;
+  connection.on('close', function() {
+    if (connection === self._connection) {
+      self._handleDisconnect();
+    }
+  });
+  connection.on('error', function(err) {
+    console.error('session ' + self.jid + ': XMPP error: ' + err);
+  });
+};
+
+Session.prototype._handleDisconnect = function() {
+  if (this._ended || !this._connected) {
+    return;
+  }
+  console.log('session ' + this.jid + ': XMPP connection lost');
+  this._connected = false;
+  this._failPendingQueries();
+  this._scheduleReconnect();
+};
+
+// Replies to all queries waiting for a reply with an error, as the
+// replies will never arrive.
+Session.prototype._failPendingQueries = function() {
+  var self = this;
+  this._replyHandlers.keys().forEach(function(queryId) {
+    var handler = self._replyHandlers.get(queryId);
+    self._replyHandlers.remove(queryId);
+    handler(disconnectedError());
+  });
+};
+
+function disconnectedError() {
+  return new xmpp.Iq({'type': 'error'}).
+    c('error', {'type': 'wait'}).
+    c('service-unavailable').
+    root();
+}
+
+Session.prototype._scheduleReconnect = function() {
+  var delay = Math.min(initialReconnectDelay *
+                       Math.pow(2, this._reconnectAttempts),
+                       maxReconnectDelay);
+  this._reconnectAttempts++;
+  this._reconnectTime = Date.now() + delay * 1000;
+
+  var self = this;
+  this._reconnectTimeout = setTimeout(function() {
+    self._reconnectTimeout = null;
+    self._reconnect();
+  }, delay * 1000);
+};
+
+Session.prototype._reconnect = function() {
+  var self = this;
+  var client = new xmpp.Client(this._connectionOptions);
+  var online = false;
+  var failed = false;
+
+  function retryLater() {
+    failed = true;
+    self._scheduleReconnect();
+  }
+
+  client.on('online', function() {
+    online = true;
+    if (self._ended) {
+      client.end();
+      return;
+    }
+    console.log('session ' + self.jid + ': XMPP connection reestablished');
+    self._replaceConnection(client);
+    self._connected = true;
+    self._reconnectAttempts = 0;
+    self._reconnectTime = null;
+    self._renewSubscriptions();
+  });
+
+  client.on('error', function(err) {
+    if (online || failed || self._ended) {
+      return;
+    }
+    if (err == 'XMPP authentication failure' && self.id) {
+      // The password was changed in the meantime
+      failed = true;
+      console.log('session ' + self.jid + ': credentials no longer valid');
+      exports.endSession(self.id);
+    } else if (err == 'XMPP authentication failure' && self._apiKey) {
+      failed = true;
+      console.log('session ' + self.jid + ': credentials no longer valid');
+      exports.endKeySession(self._apiKey.id);
+    } else {
+      retryLater();
+    }
+  });
+
+  // Refused or dropped connections close without an error
+  client.on('close', function() {
+    if (!online && !failed && !self._ended) {
+      retryLater();
+    }
+  });
+};
+
+// Moves the stanza listeners (see _setupStanzaListener() and onStanza())
+// over to a new connection.
+Session.prototype._replaceConnection = function(connection) {
+  var oldConnection = this._connection;
+  oldConnection.listeners('stanza').forEach(function(listener) {
+    connection.on('stanza', listener);
+  });
+  oldConnection.removeAllListeners('stanza');
+
+  this._connection = connection;
+  this.jid = connection.jid.toString();
+  this._setupConnectionListeners(connection);
+};
+
+// Sends the presence and subscription requests needed for the session's
+// temporary subscriptions again, as they ended with the old connection.
+Session.prototype._renewSubscriptions = function() {
+  for (var pubjid in this._subsPresences) {
+    var pres = new xmpp.Presence({from: this.jid, to: pubjid});
+    console.log("OUT xmpp: " + pres);
+    this._connection.send(pres);
+  }
+
+  for (var subkey in this._subs) {
+    var sub = this._subs[subkey];
+    if (this._subs.hasOwnProperty(subkey) && sub && sub.state == 'subscribed') {
+      this._renewSubscription(sub.nodeId);
+    }
+  }
+};
+
+Session.prototype._renewSubscription = function(nodeId) {
+  var iq = pubsub.subscribeIq(nodeId, this.jid, true);
+  var self = this;
+  this.sendQuery(iq, function(reply) {
+    if (reply.type != 'result') {
+      console.error('session ' + self.jid + ': renewing subscription to ' +
+                    nodeId + ' failed');
+    }
+  });
+};
+
+/**
+ * Returns true unless the session's XMPP connection was lost and is
+ * being reestablished.
+ */
+Session.prototype.isConnected = function() {
+  return this._connected;
+};
+
+/**
+ * Returns the number of seconds until the next attempt to reestablish
+ * the session's lost XMPP connection.
+ */
+Session.prototype.retryAfter = function() {
+  if (this._connected || !this._reconnectTime) {
+    return 0;
+  }
+  return Math.max(1, Math.ceil((this._reconnectTime - Date.now()) / 1000));
+};
+
 function makeChannelName(s) {
   return s.replace(/\//g, ".");
 }
@@ -191,6 +991,7 @@ Session.prototype._setupStanzaListener = function() {
             sub.prevId = null;
             sub.lastPublishedId = null;
           }
+          var newItems = [];
           for(var i = 0; i < entries.length; ++i) {
             var entry = entries[i];
             var item = {};
@@ -200,9 +1001,13 @@ Session.prototype._setupStanzaListener = function() {
             item.id.time = Math.floor(iso8601.toDate(timestr).getTime() / 1000) * 1000;
             item.entry = entries[i];
             sub.items.push(item);
+            newItems.push(item);
+          }
+          if (newItems.length > 0) {
+            self._notifyNodeListeners(nodeId, 'items', newItems);
           }
 
-          if (config.fanoutRealm) {
+          if (push.isEnabled() && entries.length > 0) {
             // publish using id of latest item, and prev id of last recorded
             var item = sub.items[sub.items.length - 1];
             var foId = item.id.id + '_' + item.id.time;
@@ -228,7 +1033,7 @@ Session.prototype._setupStanzaListener = function() {
             hritem['headers'] = headers;
             hritem['body'] = feed.root().toString();
 
-            self.fanoutPublish(foChannel + '-atom', foId, foPrevId, hritem);
+            push.publish(foChannel + '-atom', foId, foPrevId, hritem);
 
             headers = {};
             headers['Content-Type'] = 'application/json';
@@ -236,9 +1041,27 @@ Session.prototype._setupStanzaListener = function() {
             hritem['headers'] = headers;
             hritem['body'] = JSON.stringify(atom.toJSON(feed.root()));
 
-            self.fanoutPublish(foChannel + '-json', foId, foPrevId, hritem);
+            push.publish(foChannel + '-json', foId, foPrevId, hritem);
           }
         }
+
+        var retracts = messagedoc.find('/message/p:event/p:items/p:retract', {
+          p: pubsub.ns + '#event'
+        });
+        if (retracts.length > 0) {
+          var retractedIds = retracts.map(function(retract) {
+            return retract.attr('id').value();
+          });
+          self._notifyNodeListeners(nodeId, 'retract', retractedIds);
+        }
+      }
+
+      var configuration = messagedoc.get('/message/p:event/p:configuration', {
+        p: pubsub.ns + '#event'
+      });
+      if (configuration) {
+        var configNodeId = configuration.attr('node').value();
+        self._notifyNodeListeners(configNodeId, 'configuration', configuration);
       }
     }
     if (stanza.attrs.id) {
@@ -251,6 +1074,103 @@ Session.prototype._setupStanzaListener = function() {
   });
 };
 
+Session.prototype._notifyNodeListeners = function(nodeId, type, data) {
+  var key = nodeListenerKey(nodeId, type);
+  var listeners = this._nodeListeners[key];
+  if (listeners) {
+    listeners.slice().forEach(function(listener) {
+      listener(data);
+    });
+  }
+};
+
+function nodeListenerKey(nodeId, type) {
+  return config.channelDomain + "_" + nodeId + " " + type;
+}
+
+/**
+ * Registers a listener for Pub-Sub events of a node the session has a
+ * temporary subscription to (see subscribe()). 'type' is one of:
+ *
+ * - 'items': New items were published. The listener is called with an
+ *   array of them, in the same format as the subscription state's 'items'
+ *   array.
+ * - 'retract': Items were retracted. The listener gets an array of their
+ *   IDs.
+ * - 'configuration': The node configuration changed. The listener gets
+ *   the <configuration/> element of the event.
+ */
+Session.prototype.onNodeEvent = function(nodeId, type, listener) {
+  var key = nodeListenerKey(nodeId, type);
+  if (!this._nodeListeners[key]) {
+    this._nodeListeners[key] = [];
+  }
+  this._nodeListeners[key].push(listener);
+};
+
+/**
+ * Removes a listener registered with onNodeEvent().
+ */
+Session.prototype.removeNodeEventListener = function(nodeId, type, listener) {
+  var key = nodeListenerKey(nodeId, type);
+  var listeners = this._nodeListeners[key];
+  if (listeners) {
+    var index = listeners.indexOf(listener);
+    if (index >= 0) {
+      listeners.splice(index, 1);
+    }
+    if (listeners.length == 0) {
+      delete this._nodeListeners[key];
+    }
+  }
+};
+
+/**
+ * Registers a listener which is called with the new session if the
+ * session is replaced in the anonymous session pool (see anonpool.js)
+ * because its connection hangs. Users which retain the session should
+ * move over to the new one, as the session stops receiving events.
+ */
+Session.prototype.onReplaced = function(listener) {
+  this._replacedListeners.push(listener);
+};
+
+/**
+ * Removes a listener registered with onReplaced().
+ */
+Session.prototype.removeReplacedListener = function(listener) {
+  var index = this._replacedListeners.indexOf(listener);
+  if (index >= 0) {
+    this._replacedListeners.splice(index, 1);
+  }
+};
+
+/**
+ * Restarts the session's expiration timeout, as if another request had
+ * been made with it. Used to keep sessions alive while they are used by
+ * long-lived requests, which must call it at least once per
+ * touchInterval() (see below). The session's record is updated as well,
+ * so that the session isn't removed from the session store meanwhile.
+ */
+Session.prototype.touch = function() {
+  if (this.id) {
+    sessionCache.get(this.id);
+    if (this._record) {
+      recordSessionUse(this, this._record);
+    }
+  } else if (this._apiKey) {
+    keySessionCache.get(this._apiKey.id);
+  }
+};
+
+/**
+ * Returns the number of queries sent with sendQuery() which are still
+ * awaiting a reply.
+ */
+Session.prototype.pendingQueries = function() {
+  return this._replyHandlers.keys().length;
+};
+
 /**
  * Registers a handler for incoming stanzas. Whenever the session receives
  * a stanza which is not a reply to a stanza sent with sendQuery(), the
@@ -268,14 +1188,25 @@ Session.prototype.onStanza = function(handler) {
 /**
  * Sends a query to the XMPP server using the session's connection. When a
  * reply is received, 'onreply' is called with the reply stanza as argument.
+ * The query is addressed to the channel server unless it has a "to"
+ * attribute.
  */
 Session.prototype.sendQuery = function(iq, onreply) {
+  if (!this._connected) {
+    process.nextTick(function() {
+      onreply(disconnectedError());
+    });
+    return;
+  }
+
   var queryId = this._replyHandlers.generateKey();
   this._replyHandlers.put(queryId, onreply);
 
   iq = iq.root();
   iq.attr('from', this._connection.jid.toString());
-  iq.attr('to', config.channelDomain);
+  if (!iq.attrs.to) {
+    iq.attr('to', config.channelDomain);
+  }
   iq.attr('id', queryId);
   console.log("OUT xmpp: " + iq);
   this._connection.send(iq);
@@ -298,7 +1229,35 @@ Session.prototype.replyToQuery = function(iq) {
  * Closes the XMPP connection associated with the session.
  */
 Session.prototype.end = function() {
-  this._connection.end();
+  this._ended = true;
+  if (this._reconnectTimeout) {
+    clearTimeout(this._reconnectTimeout);
+    this._reconnectTimeout = null;
+  }
+  // A lost connection has no socket left to close
+  if (this._connection.socket) {
+    this._connection.end();
+  }
+};
+
+/**
+ * Keeps the session's XMPP connection open even after the session has
+ * expired, until release() is called. Calls to retain() and release()
+ * must be balanced.
+ */
+Session.prototype.retain = function() {
+  this._retainCount++;
+};
+
+/**
+ * Undoes a retain() call. If the session has already expired and is not
+ * retained anymore, its connection is closed.
+ */
+Session.prototype.release = function() {
+  this._retainCount--;
+  if (this._retainCount == 0 && this._expired) {
+    this.end();
+  }
 };
 
 /**
@@ -309,6 +1268,11 @@ Session.prototype.end = function() {
  * immediately.
  */
 Session.prototype.subscribe = function(nodeId, onsub, onerror) {
+  if (this._apiKey && !apikeys.allowsNode(this._apiKey, nodeId, 'read')) {
+    onerror('not allowed by API key');
+    return;
+  }
+
   var pubjid = config.channelDomain;
   var subkey = pubjid + "_" + nodeId;
   var sub = this._subs[subkey];
@@ -329,7 +1293,7 @@ Session.prototype.subscribe = function(nodeId, onsub, onerror) {
   var p = {};
   p.onsub = onsub;
   p.onerror = onerror;
-  sub = { state: 'subscribing', pending: [p], userData: {} };
+  sub = { state: 'subscribing', pending: [p], userData: {}, nodeId: nodeId };
   this._subs[subkey] = sub;
 
   var refs = this._subsPresences[pubjid];
@@ -352,6 +1316,7 @@ Session.prototype.subscribe = function(nodeId, onsub, onerror) {
   this.sendQuery(iq, function(reply) {
     if (reply.type == "result") {
       sub.state = 'subscribed';
+      recordSubscription(self, nodeId);
       // TODO: record subid, needed for unsub
       for(var i = 0; i < sub.pending.length; ++i) {
         sub.pending[i].onsub(sub.userData);
@@ -366,47 +1331,3 @@ Session.prototype.subscribe = function(nodeId, onsub, onerror) {
     }
   });
 }
-
-Session.prototype.fanoutPublish = function(channel, id, prevId, hrItem) {
-  var item = {};
-  if (id) {
-    item['id'] = id;
-  }
-  if (prevId) {
-    item['prev-id'] = prevId;
-  }
-  item['http-response'] = hrItem;
-  var items = [];
-  items.push(item);
-  var content = {};
-  content["items"] = items;
-  var contentRaw = JSON.stringify(content);
-
-  var claim = {};
-  claim["exp"] = Math.floor((new Date()).getTime() / 1000) + 3600;
-  claim["iss"] = config.fanoutRealm;
-  var authToken = jwt.encode(claim, new Buffer(config.fanoutKey, 'base64'));
-  console.log("token: " + authToken);
-
-  var options = {
-    'method': 'POST',
-    'hostname': 'api.fanout.io',
-    'path': '/realm/' + config.fanoutRealm + '/publish/' + channel + '/',
-    'headers': {
-      'Content-Type': 'application/json',
-      'Content-Length': Buffer.byteLength(contentRaw, 'utf8'),
-      'Authorization': 'Bearer ' + authToken,
-    }
-  };
-
-  console.log(options.path);
-
-  var req = http.request(options, function(res) {
-    console.log("STATUS: " + res.statusCode);
-    res.on("data", function(chunk) {
-      console.log("BODY: " + chunk);
-    });
-  });
-  req.write(contentRaw);
-  req.end();
-}
@@ -0,0 +1,328 @@
+/*
+ * Copyright 2012 Denis Washington <denisw@online.de>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// sessionstore.js:
+// Pluggable storage for session records, which allows sessions to be
+// shared between several API server instances. The store is selected
+// with the "sessionStore" config option:
+//
+// - "memory": Records are kept in process memory (the default). Sessions
+//   are only known to the instance that created them.
+// - "file": Every record is stored as a JSON file in "sessionStoreDir",
+//   which may be shared by all instances (e.g. over NFS). Passwords and
+//   secrets (like those of webhooks) are encrypted with
+//   "sessionStoreSecret".
+//
+// A session record is a JSON-compatible object with the session 'id',
+// the 'user' and 'password' needed to (re)establish its XMPP connection,
+// and whatever else session.js wants to remember. Every store implements
+// load(), save(), remove() and list(), which are exported by this module
+// for the configured store. All of them are asynchronous and take a
+// callback with an error as first argument.
+
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+var config = require('./config');
+
+var store;
+
+// Record fields holding credentials, which the file store encrypts
+var encryptedFields = ['password', 'secret'];
+
+/**
+ * Loads the record of the session with the passed ID. The callback gets
+ * the record, or null if there is none.
+ */
+exports.load = function(sessionId, callback) {
+  getStore().load(sessionId, callback);
+};
+
+/**
+ * Adds or replaces a session record.
+ */
+exports.save = function(record, callback) {
+  getStore().save(record, callback || logError);
+};
+
+/**
+ * Removes the record of the session with the passed ID, if any.
+ */
+exports.remove = function(sessionId, callback) {
+  getStore().remove(sessionId, callback || logError);
+};
+
+/**
+ * Loads all session records. The callback gets an array of them.
+ */
+exports.list = function(callback) {
+  getStore().list(callback);
+};
+
+/**
+ * Returns a separate store of the configured kind for records other than
+ * sessions, such as API keys. It has the same methods as this module.
+ * 'name' identifies the store; the file store keeps its records in a
+ * subdirectory of "sessionStoreDir" with that name.
+ */
+exports.createStore = function(name) {
+  var backend = createStore(config.sessionStore || 'memory', name);
+  return {
+    load: function(id, callback) {
+      backend.load(id, callback);
+    },
+    save: function(record, callback) {
+      backend.save(record, callback || logError);
+    },
+    remove: function(id, callback) {
+      backend.remove(id, callback || logError);
+    },
+    list: function(callback) {
+      backend.list(callback);
+    }
+  };
+};
+
+function logError(err) {
+  if (err) {
+    console.error('session store: ' + err);
+  }
+}
+
+function getStore() {
+  if (!store) {
+    store = createStore(config.sessionStore || 'memory');
+  }
+  return store;
+}
+
+function createStore(name, subdir) {
+  switch (name) {
+  case 'memory': return new MemoryStore();
+  case 'file':   return new FileStore(storeDir(subdir),
+                                      config.sessionStoreSecret);
+  default:       throw new Error('Unknown session store "' + name + '"');
+  }
+}
+
+function storeDir(subdir) {
+  var dir = config.sessionStoreDir;
+  if (!dir || !subdir) {
+    return dir;
+  }
+
+  dir = path.join(dir, subdir);
+  try {
+    fs.mkdirSync(dir);
+  } catch (e) {
+    if (e.code != 'EEXIST') {
+      throw e;
+    }
+  }
+  return dir;
+}
+
+//// Memory ////////////////////////////////////////////////////////////////////
+
+// Records are copied in and out, so that they behave the same as with
+// other stores.
+function MemoryStore() {
+  this._records = {};
+}
+
+MemoryStore.prototype.load = function(sessionId, callback) {
+  var data = this._records.hasOwnProperty(sessionId) ?
+    this._records[sessionId] : null;
+  process.nextTick(function() {
+    callback(null, data ? JSON.parse(data) : null);
+  });
+};
+
+MemoryStore.prototype.save = function(record, callback) {
+  this._records[record.id] = JSON.stringify(record);
+  process.nextTick(function() {
+    callback(null);
+  });
+};
+
+MemoryStore.prototype.remove = function(sessionId, callback) {
+  delete this._records[sessionId];
+  process.nextTick(function() {
+    callback(null);
+  });
+};
+
+MemoryStore.prototype.list = function(callback) {
+  var records = [];
+  for (var id in this._records) {
+    records.push(JSON.parse(this._records[id]));
+  }
+  process.nextTick(function() {
+    callback(null, records);
+  });
+};
+
+//// File //////////////////////////////////////////////////////////////////////
+
+function FileStore(dir, secret) {
+  if (!dir || !secret) {
+    throw new Error('The file session store requires "sessionStoreDir" ' +
+                    'and "sessionStoreSecret" to be set');
+  }
+  this._dir = dir;
+  this._key = crypto.createHash('sha256').update(secret).digest();
+}
+
+// Session IDs come from request headers, so they must be checked before
+// being used as file names.
+FileStore.prototype._recordPath = function(sessionId) {
+  if (!/^[0-9a-f]+$/.test(sessionId)) {
+    return null;
+  }
+  return path.join(this._dir, sessionId + '.json');
+};
+
+FileStore.prototype.load = function(sessionId, callback) {
+  var recordPath = this._recordPath(sessionId);
+  if (!recordPath) {
+    process.nextTick(function() {
+      callback(null, null);
+    });
+    return;
+  }
+
+  var self = this;
+  fs.readFile(recordPath, 'utf8', function(err, data) {
+    if (err) {
+      callback(err.code == 'ENOENT' ? null : err, null);
+    } else {
+      self._decode(data, callback);
+    }
+  });
+};
+
+FileStore.prototype.save = function(record, callback) {
+  var recordPath = this._recordPath(record.id);
+  if (!recordPath) {
+    process.nextTick(function() {
+      callback(new Error('Invalid record ID "' + record.id + '"'));
+    });
+    return;
+  }
+  var data = this._encode(record);
+
+  // Write to a temporary file first so that readers never see a partially
+  // written record
+  var tempPath = recordPath + '.' + process.pid + '.tmp';
+  fs.writeFile(tempPath, data, 'utf8', function(err) {
+    if (err) {
+      callback(err);
+    } else {
+      fs.rename(tempPath, recordPath, callback);
+    }
+  });
+};
+
+FileStore.prototype.remove = function(sessionId, callback) {
+  var recordPath = this._recordPath(sessionId);
+  if (!recordPath) {
+    process.nextTick(function() {
+      callback(null);
+    });
+    return;
+  }
+
+  fs.unlink(recordPath, function(err) {
+    callback(err && err.code != 'ENOENT' ? err : null);
+  });
+};
+
+FileStore.prototype.list = function(callback) {
+  var self = this;
+  fs.readdir(this._dir, function(err, files) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    var ids = files.filter(function(file) {
+      return /^[0-9a-f]+\.json$/.test(file);
+    }).map(function(file) {
+      return file.slice(0, -'.json'.length);
+    });
+
+    var records = [];
+    var remaining = ids.length;
+    if (remaining == 0) {
+      callback(null, records);
+      return;
+    }
+    ids.forEach(function(id) {
+      self.load(id, function(err, record) {
+        // Records removed in the meantime or unreadable ones are skipped
+        if (record) {
+          records.push(record);
+        }
+        if (--remaining == 0) {
+          callback(null, records);
+        }
+      });
+    });
+  });
+};
+
+FileStore.prototype._encode = function(record) {
+  var copy = {};
+  for (var key in record) {
+    copy[key] = record[key];
+  }
+  encryptedFields.forEach(function(field) {
+    if (copy[field] !== undefined) {
+      copy[field] = this._encrypt(copy[field]);
+    }
+  }, this);
+  return JSON.stringify(copy);
+};
+
+FileStore.prototype._decode = function(data, callback) {
+  var record;
+  try {
+    record = JSON.parse(data);
+    encryptedFields.forEach(function(field) {
+      if (record[field] !== undefined) {
+        record[field] = this._decrypt(record[field]);
+      }
+    }, this);
+  } catch (e) {
+    callback(e, null);
+    return;
+  }
+  callback(null, record);
+};
+
+FileStore.prototype._encrypt = function(text) {
+  var iv = crypto.randomBytes(16);
+  var cipher = crypto.createCipheriv('aes-256-cbc', this._key, iv);
+  var encrypted = cipher.update(text, 'utf8', 'hex') + cipher.final('hex');
+  return iv.toString('hex') + ':' + encrypted;
+};
+
+FileStore.prototype._decrypt = function(text) {
+  var parts = text.split(':');
+  var iv = new Buffer(parts[0], 'hex');
+  var decipher = crypto.createDecipheriv('aes-256-cbc', this._key, iv);
+  return decipher.update(parts[1], 'hex', 'utf8') + decipher.final('utf8');
+};
@@ -0,0 +1,365 @@
+/*
+ * Copyright 2012 Denis Washington <denisw@online.de>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// webhooks.js:
+// Manages webhooks, which deliver the items published to a channel node
+// to a callback URL via HTTP POST.
+//
+// Each webhook keeps the XMPP session it was registered with alive (see
+// Session.retain()) and listens for new items on the session's temporary
+// subscription to the node.
+//
+// Webhook records are kept in a store of their own (see sessionstore.js)
+// and contain the user's XMPP password, so that the server can log in as
+// the user again to restore them after a restart. Every server instance
+// only restores the webhooks registered with it.
+
+var crypto = require('crypto');
+var os = require('os');
+var atom = require('./atom');
+var config = require('./config');
+var httpclient = require('./httpclient');
+var pubsub = require('./pubsub');
+var session = require('./session');
+var sessionstore = require('./sessionstore');
+
+// Delivery attempts per item. The delay before the first retry is set by
+// the "webhookRetryDelay" option and doubles with every further retry.
+var maxAttempts = 6;
+
+var hooks = {};
+var store;
+
+// Identifies the webhooks registered with this server instance in a store
+// shared with other instances
+var serverId = os.hostname() + ':' + config.port;
+
+/**
+ * Registers a webhook for the passed channel node. 'session' must have
+ * a temporary subscription to the node (see Session.subscribe()), and
+ * 'password' is the XMPP password of its user. 'options' specifies the
+ * callback 'url', the 'secret' used for signing deliveries and the
+ * 'format' ("atom" or "json") of the delivered items. Returns the new
+ * webhook.
+ */
+exports.add = function(session, password, channel, node, options) {
+  var id = crypto.randomBytes(16).toString('hex');
+  var hook = new Webhook(id, session, channel, node, options);
+  hooks[hook.id] = hook;
+  hook.start();
+
+  getStore().save({
+    id: hook.id,
+    server: serverId,
+    user: session.jid,
+    password: password,
+    channel: channel,
+    node: node,
+    url: hook.url,
+    format: hook.format,
+    secret: hook._secret,
+    created: Date.now()
+  });
+  return hook;
+};
+
+/**
+ * Returns all webhooks registered by 'jid' for the passed channel node.
+ */
+exports.find = function(jid, channel, node) {
+  var result = [];
+  for (var id in hooks) {
+    var hook = hooks[id];
+    if (hook.owner == jid && hook.channel == channel && hook.node == node) {
+      result.push(hook);
+    }
+  }
+  return result;
+};
+
+/**
+ * Returns the webhook with the passed ID if it was registered by 'jid',
+ * or null otherwise.
+ */
+exports.get = function(jid, id) {
+  var hook = hooks[id];
+  return (hook && hook.owner == jid) ? hook : null;
+};
+
+/**
+ * Unregisters a webhook.
+ */
+exports.remove = function(hook) {
+  hook.stop();
+  delete hooks[hook.id];
+  getStore().remove(hook.id);
+};
+
+/**
+ * Replaces the XMPP password stored in the webhooks of the user with the
+ * passed bare JID after it was changed. The callback gets an error, if
+ * any.
+ */
+exports.updatePassword = function(jid, password, callback) {
+  listRecords(jid, function(err, records) {
+    if (err) {
+      callback(err);
+      return;
+    }
+    forEachRecord(records, function(record, done) {
+      record.password = password;
+      getStore().save(record, done);
+    }, callback);
+  });
+};
+
+/**
+ * Unregisters all webhooks of the user with the passed bare JID, e.g.
+ * after the user's account was deleted. The callback gets an error, if
+ * any.
+ */
+exports.removeAll = function(jid, callback) {
+  for (var id in hooks) {
+    if (hooks[id].owner == jid) {
+      hooks[id].stop();
+      delete hooks[id];
+    }
+  }
+
+  listRecords(jid, function(err, records) {
+    if (err) {
+      callback(err);
+      return;
+    }
+    forEachRecord(records, function(record, done) {
+      getStore().remove(record.id, done);
+    }, callback);
+  });
+};
+
+/**
+ * Restores the webhooks registered with this server instance before it
+ * was restarted. Failures are only logged.
+ */
+exports.restore = function() {
+  getStore().list(function(err, records) {
+    if (err) {
+      logError('loading webhooks', err);
+      return;
+    }
+
+    // One session per user is enough for all of the user's webhooks
+    var recordsByUser = {};
+    records.forEach(function(record) {
+      if (record.server == serverId) {
+        var user = bareJid(record.user);
+        recordsByUser[user] = (recordsByUser[user] || []).concat(record);
+      }
+    });
+    for (var user in recordsByUser) {
+      restoreUserHooks(recordsByUser[user]);
+    }
+  });
+};
+
+function restoreUserHooks(records) {
+  var user = records[0].user;
+  session.openDetached(user, records[0].password, function(err, newSession) {
+    if (err) {
+      logError('logging in as ' + user, err);
+      return;
+    }
+    if (!newSession) {
+      // The password was changed by other means than the API
+      logError('logging in as ' + user, 'login refused');
+      records.forEach(function(record) {
+        getStore().remove(record.id);
+      });
+      return;
+    }
+
+    // Keeps the session open until every webhook has retained it
+    var remaining = records.length;
+    newSession.retain();
+    records.forEach(function(record) {
+      restoreHook(newSession, record, function() {
+        if (--remaining == 0) {
+          newSession.release();
+        }
+      });
+    });
+  });
+}
+
+function restoreHook(session, record, callback) {
+  var nodeId = pubsub.channelNodeId(record.channel, record.node);
+  session.subscribe(nodeId,
+    function(sub) {
+      var hook = new Webhook(record.id, session, record.channel, record.node,
+                             record);
+      hooks[hook.id] = hook;
+      hook.start();
+      callback();
+    },
+    function(errstr) {
+      logError('restoring webhook ' + record.id, errstr);
+      callback();
+    }
+  );
+}
+
+function getStore() {
+  if (!store) {
+    store = sessionstore.createStore('webhooks');
+  }
+  return store;
+}
+
+// Calls 'callback' with an error (if any) and the stored records of the
+// webhooks of the user with the passed bare JID.
+function listRecords(jid, callback) {
+  getStore().list(function(err, records) {
+    if (err) {
+      callback(err);
+      return;
+    }
+    callback(null, records.filter(function(record) {
+      return bareJid(record.user) == jid;
+    }));
+  });
+}
+
+// Calls 'action' with every record and a callback taking an error, and
+// 'callback' with the first error (if any) once all actions completed.
+function forEachRecord(records, action, callback) {
+  var remaining = records.length;
+  var firstError = null;
+  if (remaining == 0) {
+    callback(null);
+    return;
+  }
+  records.forEach(function(record) {
+    action(record, function(err) {
+      firstError = firstError || err;
+      if (--remaining == 0) {
+        callback(firstError);
+      }
+    });
+  });
+}
+
+function logError(action, err) {
+  console.error('webhooks: ' + action + ' failed: ' + err);
+}
+
+function Webhook(id, session, channel, node, options) {
+  this.id = id;
+  this.owner = bareJid(session.jid);
+  this.channel = channel;
+  this.node = node;
+  this.url = options.url;
+  this.format = options.format == 'json' ? 'json' : 'atom';
+  this._secret = options.secret;
+  this._session = session;
+  this._nodeId = pubsub.channelNodeId(channel, node);
+  this._stopped = false;
+
+  var self = this;
+  this._listener = function(items) {
+    items.forEach(function(item) {
+      self._deliver(item.entry, 1);
+    });
+  };
+}
+
+function bareJid(jid) {
+  return jid.split('/', 2)[0];
+}
+
+/**
+ * Starts listening for new items.
+ */
+Webhook.prototype.start = function() {
+  this._session.retain();
+  this._session.onNodeEvent(this._nodeId, 'items', this._listener);
+};
+
+/**
+ * Stops listening for new items.
+ */
+Webhook.prototype.stop = function() {
+  this._session.removeNodeEventListener(this._nodeId, 'items', this._listener);
+  this._session.release();
+  this._stopped = true;
+};
+
+/**
+ * Returns the JSON representation of the webhook (without its secret).
+ */
+Webhook.prototype.toJSON = function() {
+  return {
+    id: this.id,
+    url: this.url,
+    format: this.format
+  };
+};
+
+Webhook.prototype._deliver = function(entry, attempt) {
+  atom.normalizeEntry(entry);
+
+  var body;
+  var contentType;
+  if (this.format == 'json') {
+    body = JSON.stringify(atom.toJSON(entry));
+    contentType = 'application/json';
+  } else {
+    body = entry.toString();
+    contentType = 'application/atom+xml';
+  }
+
+  var self = this;
+  httpclient.post(this.url, body, {
+    'Content-Type': contentType,
+    'X-Hub-Signature': 'sha256=' + sign(this._secret, body)
+  }, function(err, res) {
+    if ((err || !httpclient.isSuccess(res)) && !self._stopped) {
+      self._retry(entry, attempt);
+    }
+  });
+};
+
+Webhook.prototype._retry = function(entry, attempt) {
+  if (attempt >= maxAttempts) {
+    console.error('webhook ' + this.id + ': giving up delivery to ' +
+                  this.url + ' after ' + attempt + ' attempts');
+    return;
+  }
+
+  var delay = config.webhookRetryDelay * Math.pow(2, attempt - 1);
+  console.log('webhook ' + this.id + ': delivery to ' + this.url +
+              ' failed, retrying in ' + delay + 's');
+
+  var self = this;
+  setTimeout(function() {
+    if (!self._stopped) {
+      self._deliver(entry, attempt + 1);
+    }
+  }, delay * 1000);
+};
+
+function sign(secret, body) {
+  return crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
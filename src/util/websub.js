@@ -0,0 +1,264 @@
+/*
+ * Copyright 2012 Denis Washington <denisw@online.de>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// websub.js:
+// Implements a WebSub (formerly PubSubHubbub) hub for the Atom feeds of
+// public channel nodes.
+//
+// Subscriptions are made through anonymous sessions, so only nodes
+// readable without authentication can be subscribed to. They are
+// held in memory and lost when the server restarts.
+
+var crypto = require('crypto');
+var url = require('url');
+var api = require('./api');
+var config = require('./config');
+var httpclient = require('./httpclient');
+var pubsub = require('./pubsub');
+
+// nodeId -> {channel, node, session, listener, moveTo,
+//            subscriptions: {callback -> sub}}
+var topics = {};
+
+/**
+ * Returns the absolute URL of the API server's root, without trailing
+ * slash. Unless the "baseUrl" option is set, it is derived from the
+ * request's "Host" header.
+ */
+exports.baseUrl = function(req) {
+  if (config.baseUrl) {
+    return config.baseUrl.replace(/\/$/, '');
+  }
+  var protocol = config.https ? 'https' : 'http';
+  return protocol + '://' + req.header('Host');
+};
+
+/**
+ * Returns the URL of the hub.
+ */
+exports.hubUrl = function(req) {
+  return exports.baseUrl(req) + '/hub';
+};
+
+/**
+ * Returns the topic URL (i.e. the URL of the Atom feed) of a channel node.
+ */
+exports.topicUrl = function(req, channel, node) {
+  return exports.baseUrl(req) + '/' + [channel, 'content', node].join('/');
+};
+
+/**
+ * Extracts the channel and node from a topic URL. Returns null if the
+ * URL doesn't point to a channel node feed.
+ */
+exports.parseTopicUrl = function(topic) {
+  var path = url.parse(topic).pathname || '';
+  var match = path.match(/^\/([^\/]+)\/content\/([^\/]+)\/?$/);
+  if (!match) {
+    return null;
+  }
+  return {
+    channel: decodeURIComponent(match[1]),
+    node: decodeURIComponent(match[2])
+  };
+};
+
+/**
+ * Processes a subscription request after it has been accepted. 'request'
+ * holds the validated hub.* parameters as 'callback', 'topic', 'channel',
+ * 'node', 'leaseSeconds' and 'secret', as well as the 'hubUrl'. The
+ * subscriber's intent is verified before the subscription takes effect.
+ */
+exports.subscribe = function(session, request) {
+  var nodeId = pubsub.channelNodeId(request.channel, request.node);
+  var leaseSeconds = Math.min(request.leaseSeconds || config.webSubLeaseTime,
+                              config.webSubLeaseTime);
+
+  session.subscribe(nodeId,
+    function(sub) {
+      verifyIntent(request, 'subscribe', leaseSeconds, function(verified) {
+        if (verified) {
+          addSubscription(session, nodeId, request, leaseSeconds);
+        }
+      });
+    },
+    function(errstr) {
+      sendDenial(request, 'the topic cannot be subscribed to');
+    }
+  );
+};
+
+/**
+ * Processes an unsubscription request after it has been accepted. See
+ * subscribe() for the format of 'request'.
+ */
+exports.unsubscribe = function(request) {
+  var nodeId = pubsub.channelNodeId(request.channel, request.node);
+  verifyIntent(request, 'unsubscribe', null, function(verified) {
+    if (verified) {
+      removeSubscription(nodeId, request.callback);
+    }
+  });
+};
+
+function verifyIntent(request, mode, leaseSeconds, callback) {
+  var challenge = crypto.randomBytes(16).toString('hex');
+  var params = {
+    'hub.mode': mode,
+    'hub.topic': request.topic,
+    'hub.challenge': challenge
+  };
+  if (leaseSeconds) {
+    params['hub.lease_seconds'] = leaseSeconds;
+  }
+
+  httpclient.get(addQuery(request.callback, params), function(err, res, body) {
+    var verified = !err && httpclient.isSuccess(res) && body == challenge;
+    console.log('websub: ' + mode + ' of ' + request.callback + ' to ' +
+                request.topic + (verified ? ' verified' : ' not verified'));
+    callback(verified);
+  });
+}
+
+function sendDenial(request, reason) {
+  var params = {
+    'hub.mode': 'denied',
+    'hub.topic': request.topic,
+    'hub.reason': reason
+  };
+  httpclient.get(addQuery(request.callback, params), function() {});
+}
+
+function addQuery(targetUrl, params) {
+  var parsed = url.parse(targetUrl, true);
+  for (var key in params) {
+    parsed.query[key] = params[key];
+  }
+  delete parsed.search;
+  return url.format(parsed);
+}
+
+function addSubscription(session, nodeId, request, leaseSeconds) {
+  var topic = topics[nodeId];
+  if (!topic) {
+    topic = {
+      channel: request.channel,
+      node: request.node,
+      session: session,
+      subscriptions: {}
+    };
+    topic.listener = function(items) {
+      distribute(topic, items);
+    };
+    topic.moveTo = function(replacement) {
+      moveTopic(nodeId, topic, replacement);
+    };
+    attachTopic(nodeId, topic, session);
+    topics[nodeId] = topic;
+  }
+
+  var existing = topic.subscriptions[request.callback];
+  if (existing) {
+    clearTimeout(existing.expiration);
+  }
+
+  topic.subscriptions[request.callback] = {
+    callback: request.callback,
+    topic: request.topic,
+    hubUrl: request.hubUrl,
+    secret: request.secret,
+    expiration: setTimeout(function() {
+      console.log('websub: lease of ' + request.callback + ' to ' +
+                  request.topic + ' expired');
+      removeSubscription(nodeId, request.callback);
+    }, leaseSeconds * 1000)
+  };
+}
+
+function removeSubscription(nodeId, callback) {
+  var topic = topics[nodeId];
+  var subscription = topic ? topic.subscriptions[callback] : null;
+  if (!subscription) {
+    return;
+  }
+
+  clearTimeout(subscription.expiration);
+  delete topic.subscriptions[callback];
+
+  if (Object.keys(topic.subscriptions).length == 0) {
+    detachTopic(nodeId, topic);
+    delete topics[nodeId];
+  }
+}
+
+function attachTopic(nodeId, topic, session) {
+  topic.session = session;
+  session.retain();
+  session.onNodeEvent(nodeId, 'items', topic.listener);
+  session.onReplaced(topic.moveTo);
+}
+
+function detachTopic(nodeId, topic) {
+  topic.session.removeNodeEventListener(nodeId, 'items', topic.listener);
+  topic.session.removeReplacedListener(topic.moveTo);
+  topic.session.release();
+}
+
+// Pooled anonymous sessions are replaced if their connection hangs (see
+// anonpool.js), so topics move over to the new session.
+function moveTopic(nodeId, topic, replacement) {
+  replacement.subscribe(nodeId,
+    function(sub) {
+      if (topics[nodeId] === topic) {
+        detachTopic(nodeId, topic);
+        attachTopic(nodeId, topic, replacement);
+      }
+    },
+    function(errstr) {
+      console.error('websub: resubscribing to ' + nodeId + ' failed');
+    }
+  );
+}
+
+function distribute(topic, items) {
+  var entries = items.map(function(item) { return item.entry; });
+  var feed = api.generateNodeFeedFromEntries(
+    topic.channel, topic.node, config.channelDomain, entries);
+  var body = feed.toString();
+
+  for (var callback in topic.subscriptions) {
+    deliver(topic.subscriptions[callback], body);
+  }
+}
+
+function deliver(subscription, body) {
+  var headers = {
+    'Content-Type': 'application/atom+xml',
+    'Link': '<' + subscription.hubUrl + '>; rel="hub", ' +
+            '<' + subscription.topic + '>; rel="self"'
+  };
+  if (subscription.secret) {
+    var hmac = crypto.createHmac('sha256', subscription.secret);
+    headers['X-Hub-Signature'] = 'sha256=' + hmac.update(body).digest('hex');
+  }
+
+  httpclient.post(subscription.callback, body, headers, function(err, res) {
+    if (err || !httpclient.isSuccess(res)) {
+      console.error('websub: distribution to ' + subscription.callback +
+                    ' failed');
+    }
+  });
+}
@@ -0,0 +1,131 @@
+/*
+ * Copyright 2012 Denis Washington <denisw@online.de>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// webhooks.js:
+// Handles requests for managing webhooks on channel nodes
+// (/<channel>/webhooks/<node>, /<channel>/webhooks/<node>/<id>).
+
+var connect = require('connect');
+var api = require('./util/api');
+var httpclient = require('./util/httpclient');
+var oauth = require('./util/oauth');
+var pubsub = require('./util/pubsub');
+var ratelimit = require('./util/ratelimit');
+var session = require('./util/session');
+var webhooks = require('./util/webhooks');
+
+/**
+ * Registers resource URL handlers and restores the webhooks registered
+ * before the server was restarted.
+ */
+exports.setup = function(app) {
+  webhooks.restore();
+
+  app.get('/:channel/webhooks/:node',
+          oauth.requireScope('read'),
+          session.provider,
+          ratelimit.limit('reads'),
+          getWebhooks);
+  app.post('/:channel/webhooks/:node',
+           connect.json(),
+           oauth.requireScope('read'),
+           session.provider,
+           ratelimit.limit('publishes'),
+           addWebhook);
+  app.del('/:channel/webhooks/:node/:id',
+          oauth.requireScope('read'),
+          session.provider,
+          ratelimit.limit('publishes'),
+          deleteWebhook);
+};
+
+//// GET /<channel>/webhooks/<node> ////////////////////////////////////////////
+
+function getWebhooks(req, res) {
+  var user = session.getUser(req.session);
+  if (!user) {
+    api.sendUnauthorized(res);
+    return;
+  }
+
+  var hooks = webhooks.find(user, req.params.channel, req.params.node);
+  res.contentType('json');
+  res.send(hooks.map(function(hook) { return hook.toJSON(); }));
+}
+
+//// POST /<channel>/webhooks/<node> ///////////////////////////////////////////
+
+function addWebhook(req, res) {
+  if (!session.getUser(req.session)) {
+    api.sendUnauthorized(res);
+    return;
+  }
+
+  var options = req.body;
+  if (!httpclient.isValidCallbackUrl(options.url) ||
+      typeof options.secret != 'string' || !options.secret ||
+      (options.format && options.format != 'atom' &&
+       options.format != 'json')) {
+    res.send(400);
+    return;
+  }
+
+  // The password is stored with the webhook to restore it after restarts,
+  // so sessions opened for API keys can't register webhooks
+  var password = session.getPassword(req.session);
+  if (password === null) {
+    res.send(403);
+    return;
+  }
+
+  var channel = req.params.channel;
+  var node = req.params.node;
+  var nodeId = pubsub.channelNodeId(channel, node);
+
+  req.session.subscribe(nodeId,
+    function(sub) {
+      var hook = webhooks.add(req.session, password, channel, node, options);
+      var hookUri = '/' + [channel, 'webhooks', node, hook.id].join('/');
+      res.header('Location', hookUri);
+      res.contentType('json');
+      res.send(hook.toJSON(), 201);
+    },
+    function(errstr) {
+      res.send(500);
+    }
+  );
+}
+
+//// DELETE /<channel>/webhooks/<node>/<id> ////////////////////////////////////
+
+function deleteWebhook(req, res) {
+  var user = session.getUser(req.session);
+  if (!user) {
+    api.sendUnauthorized(res);
+    return;
+  }
+
+  var hook = webhooks.get(user, req.params.id);
+  if (!hook ||
+      hook.channel != req.params.channel ||
+      hook.node != req.params.node) {
+    res.send(404);
+    return;
+  }
+
+  webhooks.remove(hook);
+  res.send(200);
+}
@@ -0,0 +1,296 @@
+/*
+ * Copyright 2012 Denis Washington <denisw@online.de>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// websocket.js:
+// Handles WebSocket connections which multiplex real-time updates of
+// many channel nodes (/websocket).
+//
+// Clients send JSON messages of the form
+//
+//     {"type": "subscribe", "channel": "alice@example.com", "node": "posts"}
+//     {"type": "unsubscribe", "channel": "alice@example.com", "node": "posts"}
+//
+// and receive JSON messages with the same "channel" and "node" properties
+// and a "type" of "subscribed", "unsubscribed", "item" (with the entry in
+// "item"), "retract" (with the item ID in "id"), "configuration" (with the
+// new metadata in "metadata") or "error" (with a message in "error").
+
+var url = require('url');
+var WebSocketServer = require('ws').Server;
+var api = require('./util/api');
+var atom = require('./util/atom');
+var auth = require('./util/auth');
+var oauth = require('./util/oauth');
+var pubsub = require('./util/pubsub');
+var session = require('./util/session');
+
+// Interval (in seconds) in which the proxied session is kept alive (more
+// often if sessions expire sooner). The session is also retained while
+// the socket is open, so that its XMPP connection stays open even if it
+// expires meanwhile.
+var heartbeatInterval = 30;
+
+/**
+ * Registers the WebSocket endpoint on the server.
+ */
+exports.setup = function(app) {
+  var server = new WebSocketServer({
+    server: app,
+    path: '/websocket',
+    verifyClient: authenticateClient
+  });
+  server.on('connection', handleConnection);
+};
+
+// Runs the usual authentication middleware on the upgrade request, so
+// that the same credentials (Basic, bearer token or X-Session-Id) as for other
+// requests are accepted. The session is stored in the request's 'session'
+// property.
+function authenticateClient(info, callback) {
+  var req = info.req;
+  if (!isAllowedOrigin(req, info.origin)) {
+    callback(false, 403);
+    return;
+  }
+
+  var res = {
+    header: function() {},
+    getHeader: function() {},
+    setHeader: function() {},
+    send: function() { callback(false); }
+  };
+
+  auth.parser(req, res, function(err) {
+    if (err) {
+      callback(false);
+      return;
+    }
+    oauth.requireScope('read')(req, res, function() {
+      session.provider(req, res, function(err) {
+        callback(!err);
+      });
+    });
+  });
+}
+
+// Browsers don't apply the same-origin policy to WebSocket connections,
+// so pages of other sites could use the user's credentials (such as the
+// session cookie) unless they are checked like for cross-origin requests.
+// Clients other than browsers send no Origin header.
+function isAllowedOrigin(req, origin) {
+  return !origin || url.parse(origin).host == req.headers.host ||
+         api.isTrustedOrigin(origin);
+}
+
+function handleConnection(ws) {
+  var connection = new Connection(ws, ws.upgradeReq.session);
+
+  ws.on('message', function(data) {
+    connection.handleMessage(data);
+  });
+  ws.on('close', function() {
+    connection.close();
+  });
+  ws.on('error', function(err) {
+    console.error('websocket: ' + err);
+    connection.close();
+  });
+}
+
+function Connection(ws, xmppSession) {
+  this._ws = ws;
+  this._session = xmppSession;
+  this._subscriptions = {};
+  this._closed = false;
+  this._onReplaced = this._moveTo.bind(this);
+
+  var self = this;
+  xmppSession.retain();
+  xmppSession.onReplaced(this._onReplaced);
+  this._heartbeat = setInterval(function() {
+    self._session.touch();
+  }, session.touchInterval(heartbeatInterval) * 1000);
+}
+
+/**
+ * Processes a message received from the client.
+ */
+Connection.prototype.handleMessage = function(data) {
+  var message;
+  try {
+    message = JSON.parse(data);
+  } catch (e) {
+    this._send({type: 'error', error: 'malformed message'});
+    return;
+  }
+
+  if (!message.channel || !message.node) {
+    this._send({type: 'error', error: 'channel and node required'});
+  } else if (message.type == 'subscribe') {
+    this._subscribe(message.channel, message.node);
+  } else if (message.type == 'unsubscribe') {
+    this._unsubscribe(message.channel, message.node);
+  } else {
+    this._send({
+      type: 'error',
+      channel: message.channel,
+      node: message.node,
+      error: 'unknown message type'
+    });
+  }
+};
+
+Connection.prototype._subscribe = function(channel, node) {
+  var nodeId = pubsub.channelNodeId(channel, node);
+  var self = this;
+
+  if (this._subscriptions[nodeId]) {
+    this._sendNodeMessage(channel, node, {type: 'subscribed'});
+    return;
+  }
+
+  this._session.subscribe(nodeId,
+    function(sub) {
+      if (self._closed || self._subscriptions[nodeId]) {
+        return;
+      }
+      var listeners = self._createListeners(channel, node);
+      for (var type in listeners) {
+        self._session.onNodeEvent(nodeId, type, listeners[type]);
+      }
+      self._subscriptions[nodeId] = listeners;
+      self._sendNodeMessage(channel, node, {type: 'subscribed'});
+    },
+    function(errstr) {
+      self._sendNodeMessage(channel, node, {
+        type: 'error',
+        error: 'subscription failed'
+      });
+    }
+  );
+};
+
+Connection.prototype._createListeners = function(channel, node) {
+  var self = this;
+  return {
+    items: function(items) {
+      items.forEach(function(item) {
+        atom.normalizeEntry(item.entry);
+        self._sendNodeMessage(channel, node, {
+          type: 'item',
+          item: atom.toJSON(item.entry)
+        });
+      });
+    },
+    retract: function(ids) {
+      ids.forEach(function(id) {
+        self._sendNodeMessage(channel, node, {type: 'retract', id: id});
+      });
+    },
+    configuration: function(configuration) {
+      self._sendNodeMessage(channel, node, {
+        type: 'configuration',
+        metadata: api.metadataToJSON(configuration)
+      });
+    }
+  };
+};
+
+Connection.prototype._unsubscribe = function(channel, node) {
+  var nodeId = pubsub.channelNodeId(channel, node);
+  this._removeListeners(nodeId);
+  this._sendNodeMessage(channel, node, {type: 'unsubscribed'});
+};
+
+Connection.prototype._removeListeners = function(nodeId) {
+  var listeners = this._subscriptions[nodeId];
+  if (listeners) {
+    for (var type in listeners) {
+      this._session.removeNodeEventListener(nodeId, type, listeners[type]);
+    }
+    delete this._subscriptions[nodeId];
+  }
+};
+
+// Pooled anonymous sessions are replaced if their connection hangs (see
+// anonpool.js). The connection moves over to the new session once that
+// is subscribed to the connection's nodes.
+Connection.prototype._moveTo = function(replacement) {
+  var self = this;
+  var nodeIds = Object.keys(this._subscriptions);
+  var remaining = nodeIds.length + 1;
+
+  function done() {
+    if (--remaining == 0 && !self._closed) {
+      self._switchSession(replacement);
+    }
+  }
+
+  nodeIds.forEach(function(nodeId) {
+    replacement.subscribe(nodeId, done, function(errstr) {
+      console.error('websocket: resubscribing to ' + nodeId + ' failed');
+      done();
+    });
+  });
+  done();
+};
+
+Connection.prototype._switchSession = function(replacement) {
+  var session = this._session;
+  for (var nodeId in this._subscriptions) {
+    var listeners = this._subscriptions[nodeId];
+    for (var type in listeners) {
+      session.removeNodeEventListener(nodeId, type, listeners[type]);
+      replacement.onNodeEvent(nodeId, type, listeners[type]);
+    }
+  }
+  session.removeReplacedListener(this._onReplaced);
+  replacement.onReplaced(this._onReplaced);
+  replacement.retain();
+  this._session = replacement;
+  session.release();
+};
+
+Connection.prototype._sendNodeMessage = function(channel, node, message) {
+  message.channel = channel;
+  message.node = node;
+  this._send(message);
+};
+
+Connection.prototype._send = function(message) {
+  if (!this._closed) {
+    // Without a callback, ws throws if the socket was closed in the
+    // meantime; the 'close' event takes care of the cleanup
+    this._ws.send(JSON.stringify(message), function(err) {});
+  }
+};
+
+/**
+ * Removes all of the connection's event listeners from the session and
+ * releases it.
+ */
+Connection.prototype.close = function() {
+  if (this._closed) {
+    return;
+  }
+  this._closed = true;
+  clearInterval(this._heartbeat);
+  for (var nodeId in this._subscriptions) {
+    this._removeListeners(nodeId);
+  }
+  this._session.removeReplacedListener(this._onReplaced);
+  this._session.release();
+};
@@ -0,0 +1,521 @@
+/*
+ * Copyright 2012 Denis Washington <denisw@online.de>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// test/account.js:
+// Tests account management requests.
+
+var should = require('should');
+var tutil = require('./support/testutil');
+
+// See xmpp_mockserver.js
+var mockConfig = {
+  users: {
+    'alice': 'alice'
+  },
+  stanzas: {
+    '<iq type="get">\
+       <query xmlns="http://jabber.org/protocol/disco#info" \
+              node="/user/alice@localhost/posts"/>\
+     </iq>':
+    '<iq type="result">\
+       <query xmlns="http://jabber.org/protocol/disco#info" \
+              node="/users/alice@localhost/posts">\
+         <identity category="pubsub" type="leaf"/>\
+         <x xmlns="jabber:x:data" type="result">\
+           <field var="FORM_TYPE" type="hidden">\
+             <value>http://jabber.org/protocol/pubsub#meta-data</value>\
+           </field>\
+           <field var="pubsub#title" type="text-single">\
+             <value>Alice</value>\
+           </field>\
+         </x>\
+       </query>\
+     </iq>',
+
+    // Password change
+    '<iq type="set">\
+       <query xmlns="jabber:iq:register">\
+         <username>alice</username>\
+         <password>newpass</password>\
+       </query>\
+     </iq>':
+    '<iq type="result"/>',
+
+    // Account removal
+    '<iq type="set">\
+       <query xmlns="jabber:iq:register">\
+         <remove/>\
+       </query>\
+     </iq>':
+    '<iq type="result"/>'
+  }
+};
+
+describe('Account', function() {
+
+  before(function(done) {
+    tutil.startHttpServer(function() {
+      tutil.mockXmppServer(mockConfig, done);
+    });
+  });
+
+  it('should allow changing the password', function(done) {
+    var options = {
+      path: '/account/password',
+      auth: 'alice@localhost/http:alice',
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify({password: 'newpass'})
+    };
+    tutil.put(options, function(res) {
+      res.statusCode.should.equal(200);
+      done();
+    }).on('error', done);
+  });
+
+  it('should allow changing the password with a session ID', function(done) {
+    var options = {
+      path: '/account/password',
+      auth: 'alice@localhost/http:alice',
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify({password: 'newpass'})
+    };
+    tutil.put(options, function(res) {
+      delete options.auth;
+      options.headers['X-Session-Id'] = res.headers['x-session-id'];
+      tutil.put(options, function(res2) {
+        res2.statusCode.should.equal(200);
+        done();
+      }).on('error', done);
+    }).on('error', done);
+  });
+
+  it('should require a new password', function(done) {
+    var options = {
+      path: '/account/password',
+      auth: 'alice@localhost/http:alice',
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify({})
+    };
+    tutil.put(options, function(res) {
+      res.statusCode.should.equal(400);
+      done();
+    }).on('error', done);
+  });
+
+  it('should not allow anonymous password changes', function(done) {
+    var options = {
+      path: '/account/password',
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify({password: 'newpass'})
+    };
+    tutil.put(options, function(res) {
+      res.statusCode.should.equal(401);
+      done();
+    }).on('error', done);
+  });
+
+  it('should allow deleting the account', function(done) {
+    var options = {
+      path: '/account',
+      auth: 'alice@localhost/http:alice'
+    };
+    tutil.del(options, function(res) {
+      res.statusCode.should.equal(200);
+      done();
+    }).on('error', done);
+  });
+
+  after(function() {
+    tutil.end();
+  });
+
+});
+
+// See xmpp_mockserver.js
+var registrationConfig = {
+  users: {
+    'bob': 'bob'
+  },
+  stanzas: {
+    // Registration form
+    '<iq type="get">\
+       <query xmlns="jabber:iq:register"/>\
+     </iq>':
+    '<iq type="result">\
+       <query xmlns="jabber:iq:register">\
+         <instructions>Choose a username and password</instructions>\
+         <username/>\
+         <password/>\
+       </query>\
+     </iq>',
+
+    // Successful registration
+    '<iq type="set">\
+       <query xmlns="jabber:iq:register">\
+         <username>bob</username>\
+         <password>bob</password>\
+       </query>\
+     </iq>':
+    '<iq type="result"/>',
+
+    // Registration of a taken username
+    '<iq type="set">\
+       <query xmlns="jabber:iq:register">\
+         <username>alice</username>\
+         <password>alice</password>\
+       </query>\
+     </iq>':
+    '<iq type="error">\
+       <error type="cancel">\
+         <conflict xmlns="urn:ietf:params:xml:ns:xmpp-stanzas"/>\
+       </error>\
+     </iq>',
+
+    // Registration with an invalid username
+    '<iq type="set">\
+       <query xmlns="jabber:iq:register">\
+         <username>*</username>\
+         <password>*</password>\
+       </query>\
+     </iq>':
+    '<iq type="error">\
+       <error type="modify">\
+         <not-acceptable xmlns="urn:ietf:params:xml:ns:xmpp-stanzas"/>\
+         <text xmlns="urn:ietf:params:xml:ns:xmpp-stanzas">Bad username</text>\
+       </error>\
+     </iq>'
+  }
+};
+
+// Channel creation after registration: each created node becomes
+// discoverable
+['posts', 'status', 'geo/previous', 'geo/current', 'geo/next'].forEach(
+  function(node) {
+    var nodeId = '/user/bob@localhost/' + node;
+    var fields = ['pubsub#title', 'pubsub#description',
+                  'buddycloud#channel_type', 'pubsub#access_model',
+                  'buddycloud#default_affiliation'];
+    var pattern =
+      '<iq type="set">\
+         <pubsub xmlns="http://jabber.org/protocol/pubsub">\
+           <create node="' + nodeId + '"/>\
+           <configure>\
+             <x xmlns="jabber:x:data" type="submit">\
+               <field var="FORM_TYPE" type="hidden">\
+                 <value>http://jabber.org/protocol/pubsub#node_config</value>\
+               </field>' +
+               fields.map(function(field) {
+                 return '<field var="' + field + '" type="text-single">\
+                           <value>*</value>\
+                         </field>';
+               }).join('') +
+            '</x>\
+           </configure>\
+         </pubsub>\
+       </iq>';
+
+    var action = {'': '<iq type="result"/>'};
+    action['<iq type="get">\
+              <query xmlns="http://jabber.org/protocol/disco#info" \
+                     node="' + nodeId + '"/>\
+            </iq>'] =
+      '<iq type="result">\
+         <query xmlns="http://jabber.org/protocol/disco#info" \
+                node="' + nodeId + '">\
+           <identity category="pubsub" type="leaf"/>\
+         </query>\
+       </iq>';
+    registrationConfig.stanzas[pattern] = action;
+  });
+
+describe('Registration', function() {
+
+  before(function(done) {
+    tutil.startHttpServer(function() {
+      tutil.mockXmppServer(registrationConfig, done);
+    });
+  });
+
+  function register(fields, callback) {
+    var options = {
+      path: '/account',
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify(fields)
+    };
+    return tutil.post(options, callback);
+  }
+
+  it('should provide the registration form', function(done) {
+    tutil.get({path: '/account'}, function(res, body) {
+      res.statusCode.should.equal(200);
+      var form = JSON.parse(body.toString());
+      form.instructions.should.equal('Choose a username and password');
+      form.fields.should.eql(['username', 'password']);
+      done();
+    }).on('error', done);
+  });
+
+  it('should register new accounts', function(done) {
+    register({username: 'bob', password: 'bob'}, function(res) {
+      res.statusCode.should.equal(200);
+      done();
+    }).on('error', done);
+  });
+
+  it('should create the channel of new accounts', function(done) {
+    register({username: 'bob', password: 'bob'}, function(res) {
+      res.statusCode.should.equal(200);
+      var options = {
+        path: '/bob@localhost/metadata/posts',
+        auth: 'bob@localhost/http:bob'
+      };
+      tutil.get(options, function(res2) {
+        res2.statusCode.should.equal(200);
+        done();
+      }).on('error', done);
+    }).on('error', done);
+  });
+
+  it('should be 409 if the username is taken', function(done) {
+    register({username: 'alice', password: 'alice'}, function(res, body) {
+      res.statusCode.should.equal(409);
+      JSON.parse(body.toString()).error.should.equal('conflict');
+      done();
+    }).on('error', done);
+  });
+
+  it('should be 400 if the server refuses the fields', function(done) {
+    register({username: 'b a d', password: 'bad'}, function(res, body) {
+      res.statusCode.should.equal(400);
+      var reason = JSON.parse(body.toString());
+      reason.error.should.equal('not-acceptable');
+      reason.text.should.equal('Bad username');
+      done();
+    }).on('error', done);
+  });
+
+  it('should be 400 for fields the server doesn\'t ask for', function(done) {
+    var fields = {username: 'bob', password: 'bob', email: 'bob@localhost'};
+    register(fields, function(res) {
+      res.statusCode.should.equal(400);
+      done();
+    }).on('error', done);
+  });
+
+  it('should require a username and password', function(done) {
+    register({username: 'bob'}, function(res) {
+      res.statusCode.should.equal(400);
+      done();
+    }).on('error', done);
+  });
+
+  after(function() {
+    tutil.end();
+  });
+
+});
+
+describe('API keys', function() {
+
+  before(function(done) {
+    tutil.startHttpServer(function() {
+      tutil.mockXmppServer(mockConfig, done);
+    });
+  });
+
+  function createKey(permissions, callback) {
+    var options = {
+      path: '/account/keys',
+      auth: 'alice@localhost/http:alice',
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify({name: 'bot', permissions: permissions})
+    };
+    tutil.post(options, function(res, body) {
+      res.statusCode.should.equal(201);
+      callback(JSON.parse(body.toString()));
+    });
+  }
+
+  var readPosts = [{
+    channel: 'alice@localhost',
+    node: 'posts',
+    operations: ['read']
+  }];
+
+  it('should be created with valid permissions', function(done) {
+    createKey(readPosts, function(key) {
+      should.exist(key.id);
+      should.exist(key.key);
+      key.name.should.equal('bot');
+      key.permissions.should.eql(readPosts);
+      done();
+    });
+  });
+
+  it('should not be created with invalid permissions', function(done) {
+    var options = {
+      path: '/account/keys',
+      auth: 'alice@localhost/http:alice',
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify({permissions: [{operations: ['account']}]})
+    };
+    tutil.post(options, function(res) {
+      res.statusCode.should.equal(400);
+      done();
+    }).on('error', done);
+  });
+
+  it('should be listed without secrets', function(done) {
+    createKey(readPosts, function(key) {
+      var options = {
+        path: '/account/keys',
+        auth: 'alice@localhost/http:alice'
+      };
+      tutil.get(options, function(res, body) {
+        res.statusCode.should.equal(200);
+        var keys = JSON.parse(body.toString());
+        var listed = keys.filter(function(k) { return k.id == key.id; });
+        listed.length.should.equal(1);
+        should.not.exist(listed[0].key);
+        done();
+      }).on('error', done);
+    });
+  });
+
+  it('should authenticate permitted requests', function(done) {
+    createKey(readPosts, function(key) {
+      var options = {
+        path: '/alice@localhost/metadata/posts',
+        headers: {'Authorization': 'ApiKey ' + key.key}
+      };
+      tutil.get(options, function(res) {
+        res.statusCode.should.equal(200);
+        should.not.exist(res.headers['x-session-id']);
+        done();
+      }).on('error', done);
+    });
+  });
+
+  it('should not allow access to other nodes', function(done) {
+    createKey(readPosts, function(key) {
+      var options = {
+        path: '/alice@localhost/metadata/status',
+        headers: {'Authorization': 'ApiKey ' + key.key}
+      };
+      tutil.get(options, function(res) {
+        res.statusCode.should.equal(403);
+        done();
+      }).on('error', done);
+    });
+  });
+
+  it('should not allow operations it does not grant', function(done) {
+    createKey(readPosts, function(key) {
+      var options = {
+        path: '/alice@localhost/metadata/posts',
+        headers: {
+          'Authorization': 'ApiKey ' + key.key,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({title: 'Hacked'})
+      };
+      tutil.post(options, function(res) {
+        res.statusCode.should.equal(403);
+        done();
+      }).on('error', done);
+    });
+  });
+
+  it('should not allow deleting or configuring nodes', function(done) {
+    var publishPosts = [{
+      channel: 'alice@localhost',
+      node: 'posts',
+      operations: ['publish']
+    }];
+    createKey(publishPosts, function(key) {
+      var options = {
+        path: '/alice@localhost/content/posts',
+        headers: {'Authorization': 'ApiKey ' + key.key}
+      };
+      tutil.del(options, function(res) {
+        res.statusCode.should.equal(403);
+        var options2 = {
+          path: '/alice@localhost/metadata/posts',
+          headers: {
+            'Authorization': 'ApiKey ' + key.key,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({title: 'Hacked'})
+        };
+        tutil.post(options2, function(res2) {
+          res2.statusCode.should.equal(403);
+          done();
+        }).on('error', done);
+      }).on('error', done);
+    });
+  });
+
+  it('should not allow media access', function(done) {
+    createKey(readPosts, function(key) {
+      var options = {
+        path: '/alice@localhost/media/foo',
+        headers: {'Authorization': 'ApiKey ' + key.key}
+      };
+      tutil.get(options, function(res) {
+        res.statusCode.should.equal(403);
+        done();
+      }).on('error', done);
+    });
+  });
+
+  it('should not allow account management', function(done) {
+    createKey(readPosts, function(key) {
+      var options = {
+        path: '/account/keys',
+        headers: {'Authorization': 'ApiKey ' + key.key}
+      };
+      tutil.get(options, function(res) {
+        res.statusCode.should.equal(403);
+        done();
+      }).on('error', done);
+    });
+  });
+
+  it('should be rejected after revocation', function(done) {
+    createKey(readPosts, function(key) {
+      var options = {
+        path: '/account/keys/' + key.id,
+        auth: 'alice@localhost/http:alice'
+      };
+      tutil.del(options, function(res) {
+        res.statusCode.should.equal(200);
+        var getOptions = {
+          path: '/alice@localhost/metadata/posts',
+          headers: {'Authorization': 'ApiKey ' + key.key}
+        };
+        tutil.get(getOptions, function(res2) {
+          res2.statusCode.should.equal(401);
+          done();
+        }).on('error', done);
+      }).on('error', done);
+    });
+  });
+
+  after(function() {
+    tutil.end();
+  });
+
+});
@@ -0,0 +1,249 @@
+/*
+ * Copyright 2012 Denis Washington <denisw@online.de>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// test/anonpool.js:
+// Tests the pool of anonymous sessions.
+
+var should = require('should');
+var AnonymousPool = require('../src/util/anonpool').AnonymousPool;
+
+// Stands in for a Session (see session.js). Pings are answered only if
+// the session is 'responsive'.
+function FakeSession(jid) {
+  this.jid = jid;
+  this.connected = true;
+  this.responsive = true;
+  this.pending = 0;
+}
+
+FakeSession.prototype.isConnected = function() {
+  return this.connected;
+};
+
+FakeSession.prototype.pendingQueries = function() {
+  return this.pending;
+};
+
+FakeSession.prototype.sendQuery = function(iq, callback) {
+  if (this.responsive) {
+    process.nextTick(function() {
+      callback(iq);
+    });
+  }
+};
+
+// Creates a pool whose sessions are recorded in 'opened' and 'expired',
+// and the sessions replacing expired ones in 'replacements'. Logins fail
+// with 'loginError' if it is set.
+function createPool(size, dispatch) {
+  var pool = new AnonymousPool(size, dispatch, function(callback) {
+    process.nextTick(function() {
+      if (pool.loginError) {
+        callback(pool.loginError);
+      } else {
+        var session = new FakeSession('anon' + pool.opened.length);
+        pool.opened.push(session);
+        callback(null, session);
+      }
+    });
+  }, function(session, replacement) {
+    pool.expired.push(session);
+    pool.replacements.push(replacement);
+  });
+  pool.opened = [];
+  pool.expired = [];
+  pool.replacements = [];
+  return pool;
+}
+
+// Calls pool.get() 'count' times at once and passes the sessions to
+// 'callback' (in the order of the requests) once all logins started by
+// the pool are complete. The requests have no key unless 'keys' is
+// passed.
+function getSessions(pool, count, callback, keys) {
+  var sessions = [];
+  var remaining = count;
+  for (var i = 0; i < count; i++) {
+    getSession(pool, keys ? keys[i] : null, function(index, session) {
+      sessions[index] = session;
+      if (--remaining == 0) {
+        setTimeout(function() {
+          callback(sessions);
+        }, 0);
+      }
+    }.bind(null, i));
+  }
+}
+
+function getSession(pool, key, callback) {
+  pool.get(key, function(err, session) {
+    should.not.exist(err);
+    callback(session);
+  });
+}
+
+describe('Anonymous session pool', function() {
+
+  it('should open up to its size in sessions', function(done) {
+    var pool = createPool(2, 'least-pending');
+    getSessions(pool, 5, function(sessions) {
+      pool.opened.length.should.equal(2);
+      sessions.forEach(function(session) {
+        pool.opened.should.include(session);
+      });
+      done();
+    });
+  });
+
+  it('should reuse its sessions', function(done) {
+    var pool = createPool(1, 'least-pending');
+    getSessions(pool, 1, function(sessions) {
+      getSessions(pool, 3, function(sessions2) {
+        pool.opened.length.should.equal(1);
+        sessions2.should.eql([sessions[0], sessions[0], sessions[0]]);
+        done();
+      });
+    });
+  });
+
+  it('should pick the session with the fewest pending queries',
+    function(done) {
+      var pool = createPool(3, 'least-pending');
+      getSessions(pool, 3, function() {
+        pool.opened[0].pending = 2;
+        pool.opened[1].pending = 0;
+        pool.opened[2].pending = 1;
+        getSessions(pool, 1, function(sessions) {
+          sessions[0].should.equal(pool.opened[1]);
+          done();
+        });
+      });
+    });
+
+  it('should use its sessions in turn with round-robin dispatch',
+    function(done) {
+      var pool = createPool(2, 'round-robin');
+      getSessions(pool, 2, function() {
+        getSessions(pool, 4, function(sessions) {
+          sessions[0].should.not.equal(sessions[1]);
+          sessions[0].should.equal(sessions[2]);
+          sessions[1].should.equal(sessions[3]);
+          done();
+        });
+      });
+    });
+
+  it('should prefer connected sessions', function(done) {
+    var pool = createPool(2, 'round-robin');
+    getSessions(pool, 2, function() {
+      pool.opened[0].connected = false;
+      getSessions(pool, 2, function(sessions) {
+        sessions.should.eql([pool.opened[1], pool.opened[1]]);
+        done();
+      });
+    });
+  });
+
+  it('should pass login errors on', function(done) {
+    var pool = createPool(2, 'least-pending');
+    pool.loginError = 'XMPP connection failure';
+    pool.get(null, function(err, session) {
+      err.should.equal('XMPP connection failure');
+      should.not.exist(session);
+      pool.opened.length.should.equal(0);
+      done();
+    });
+  });
+
+  it('should give requests with the same key the same session',
+    function(done) {
+      var pool = createPool(3, 'round-robin');
+      var keys = ['a', 'b', 'c', 'a', 'b', 'c', 'a'];
+      getSessions(pool, keys.length, function(sessions) {
+        pool.opened.length.should.equal(3);
+        getSessions(pool, keys.length, function(sessions2) {
+          sessions2.should.eql(sessions);
+          sessions[3].should.equal(sessions[0]);
+          sessions[6].should.equal(sessions[0]);
+          done();
+        }, keys);
+      }, keys);
+    });
+
+  it('should keep keys on their session while it reconnects',
+    function(done) {
+      var pool = createPool(2, 'least-pending');
+      getSessions(pool, 1, function(sessions) {
+        sessions[0].connected = false;
+        getSessions(pool, 1, function(sessions2) {
+          sessions2[0].should.equal(sessions[0]);
+          done();
+        }, ['a']);
+      }, ['a']);
+    });
+
+  it('should replace unresponsive sessions', function(done) {
+    var pool = createPool(2, 'least-pending');
+    pool.healthCheckTimeout = 0.05;
+    getSessions(pool, 2, function() {
+      var unresponsive = pool.opened[0];
+      unresponsive.responsive = false;
+      pool.checkHealth();
+      setTimeout(function() {
+        pool.expired.should.eql([unresponsive]);
+        pool.opened.length.should.equal(3);
+        pool.replacements.should.eql([pool.opened[2]]);
+        getSessions(pool, 4, function(sessions) {
+          sessions.should.not.include(unresponsive);
+          done();
+        });
+      }, 100);
+    });
+  });
+
+  it('should give the replacement the keys of a replaced session',
+    function(done) {
+      var pool = createPool(2, 'least-pending');
+      pool.healthCheckTimeout = 0.05;
+      getSessions(pool, 1, function(sessions) {
+        sessions[0].responsive = false;
+        pool.checkHealth();
+        setTimeout(function() {
+          getSessions(pool, 1, function(sessions2) {
+            sessions2[0].should.equal(pool.replacements[0]);
+            done();
+          }, ['a']);
+        }, 100);
+      }, ['a']);
+    });
+
+  it('should pass null as replacement if it can\'t be opened',
+    function(done) {
+      var pool = createPool(1, 'least-pending');
+      pool.healthCheckTimeout = 0.05;
+      getSessions(pool, 1, function() {
+        pool.opened[0].responsive = false;
+        pool.loginError = 'XMPP connection failure';
+        pool.checkHealth();
+        setTimeout(function() {
+          pool.expired.should.eql([pool.opened[0]]);
+          pool.replacements.should.eql([null]);
+          done();
+        }, 100);
+      });
+    });
+
+});
@@ -0,0 +1,119 @@
+/*
+ * Copyright 2012 Denis Washington <denisw@online.de>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// test/channel.js:
+// Tests channel creation.
+
+var should = require('should');
+var tutil = require('./support/testutil');
+
+var nodes = ['posts', 'status', 'geo/previous', 'geo/current', 'geo/next'];
+
+// Node creation with the default configuration, with any field values
+function createNodeStanza(node) {
+  var fields = ['pubsub#title', 'pubsub#description', 'buddycloud#channel_type',
+                'pubsub#access_model', 'buddycloud#default_affiliation'];
+  return '<iq from="alice@localhost/http" type="set">' +
+         '<pubsub xmlns="http://jabber.org/protocol/pubsub">' +
+         '<create node="/user/alice@localhost/' + node + '"/>' +
+         '<configure>' +
+         '<x xmlns="jabber:x:data" type="submit">' +
+         '<field var="FORM_TYPE" type="hidden">' +
+         '<value>http://jabber.org/protocol/pubsub#node_config</value>' +
+         '</field>' +
+         fields.map(function(field) {
+           return '<field var="' + field + '" type="text-single">' +
+                  '<value>*</value></field>';
+         }).join('') +
+         '</x></configure></pubsub></iq>';
+}
+
+// See xmpp_mockserver.js
+var mockConfig = {
+  users: {
+    'alice': 'alice'
+  },
+  stanzas: {}
+};
+nodes.forEach(function(node) {
+  mockConfig.stanzas[createNodeStanza(node)] = '<iq type="result"/>';
+});
+
+describe('Channel', function() {
+
+  before(function(done) {
+    tutil.startHttpServer(function() {
+      tutil.mockXmppServer(mockConfig, done);
+    });
+  });
+
+  it('should be created for its owner', function(done) {
+    var options = {
+      path: '/alice@localhost',
+      auth: 'alice@localhost/http:alice',
+      body: ''
+    };
+    tutil.post(options, function(res, body) {
+      res.statusCode.should.equal(201);
+      JSON.parse(body.toString()).created.should.eql(nodes);
+      done();
+    }).on('error', done);
+  });
+
+  it('should be created with a session ID', function(done) {
+    var options = {
+      path: '/alice@localhost',
+      auth: 'alice@localhost/http:alice',
+      body: ''
+    };
+    tutil.post(options, function(res) {
+      delete options.auth;
+      options.headers = {'X-Session-Id': res.headers['x-session-id']};
+      tutil.post(options, function(res2) {
+        res2.statusCode.should.equal(201);
+        done();
+      }).on('error', done);
+    }).on('error', done);
+  });
+
+  it('should not be created for other users', function(done) {
+    var options = {
+      path: '/bob@localhost',
+      auth: 'alice@localhost/http:alice',
+      body: ''
+    };
+    tutil.post(options, function(res) {
+      res.statusCode.should.equal(403);
+      done();
+    }).on('error', done);
+  });
+
+  it('should not be created anonymously', function(done) {
+    var options = {
+      path: '/alice@localhost',
+      body: ''
+    };
+    tutil.post(options, function(res) {
+      res.statusCode.should.equal(401);
+      done();
+    }).on('error', done);
+  });
+
+  after(function() {
+    tutil.end();
+  });
+
+});
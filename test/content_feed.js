@@ -20,6 +20,7 @@
 var should = require('should');
 var xml = require('libxmljs');
 var atom = require('../src/util/atom');
+var config = require('../src/util/config');
 var tutil = require('./support/testutil');
 
 // See xmpp_mockserver.js
@@ -29,6 +30,25 @@ var mockConfig = {
     'bob': 'bob'
   },
   stanzas: {
+    // Temporary subscription
+    '<iq from="alice@localhost/http" type="set">\
+       <pubsub xmlns="http://jabber.org/protocol/pubsub">\
+         <subscribe node="/user/alice@localhost/posts"\
+                    jid="alice@localhost/http"/>\
+         <options>\
+           <x xmlns="jabber:x:data" type="submit">\
+             <field var="FORM_TYPE" type="hidden">\
+               <value>http://jabber.org/protocol/pubsub#node_config</value>\
+             </field>\
+             <field var="pubsub#expire" type="text-single">\
+               <value>presence</value>\
+             </field>\
+           </x>\
+         </options>\
+       </pubsub>\
+     </iq>':
+    '<iq type="result"/>',
+
     // Get node items
     '<iq from="alice@localhost/http" type="get">\
        <pubsub xmlns="http://jabber.org/protocol/pubsub">\
@@ -445,10 +465,76 @@ var mockConfig = {
          <not-allowed xmlns="urn:ietf:params:xml:ns:xmpp-stanzas"/>\
          <closed-node xmlns="http://jabber.org/protocol/pubsub#errors"/>\
        </error>\
+     </iq>',
+
+    // Create node with configuration
+    '<iq from="alice@localhost/http" type="set">\
+       <pubsub xmlns="http://jabber.org/protocol/pubsub">\
+         <create node="/user/alice@localhost/photos"/>\
+         <configure>\
+           <x xmlns="jabber:x:data" type="submit">\
+             <field var="FORM_TYPE" type="hidden">\
+               <value>http://jabber.org/protocol/pubsub#node_config</value>\
+             </field>\
+             <field var="pubsub#title" type="text-single">\
+               <value>Photos</value>\
+             </field>\
+           </x>\
+         </configure>\
+       </pubsub>\
+     </iq>':
+    '<iq type="result"/>',
+
+    // Create existing node
+    '<iq from="alice@localhost/http" type="set">\
+       <pubsub xmlns="http://jabber.org/protocol/pubsub">\
+         <create node="/user/alice@localhost/posts"/>\
+       </pubsub>\
+     </iq>':
+    '<iq type="error">\
+       <error type="cancel">\
+         <conflict xmlns="urn:ietf:params:xml:ns:xmpp-stanzas"/>\
+       </error>\
+     </iq>',
+
+    // Delete node
+    '<iq from="alice@localhost/http" type="set">\
+       <pubsub xmlns="http://jabber.org/protocol/pubsub#owner">\
+         <delete node="/user/alice@localhost/photos"/>\
+       </pubsub>\
+     </iq>':
+    '<iq type="result"/>',
+
+    // Delete node without being its owner
+    '<iq from="bob@localhost/http" type="set">\
+       <pubsub xmlns="http://jabber.org/protocol/pubsub#owner">\
+         <delete node="/user/alice@localhost/photos"/>\
+       </pubsub>\
+     </iq>':
+    '<iq type="error">\
+       <error type="auth">\
+         <forbidden xmlns="urn:ietf:params:xml:ns:xmpp-stanzas"/>\
+       </error>\
      </iq>'
   }
 };
 
+var itemNotification =
+  '<message from="localhost">\
+     <event xmlns="http://jabber.org/protocol/pubsub#event">\
+       <items node="/user/alice@localhost/posts">\
+         <item id="4">\
+           <entry xmlns="http://www.w3.org/2005/Atom">\
+             <id>4</id>\
+             <author><name>alice@localhost</name></author>\
+             <content>four</content>\
+             <updated>2012-10-17T12:00:00Z</updated>\
+           </entry>\
+         </item>\
+       </items>\
+     </event>\
+   </message>';
+
 describe('Node Feed', function() {
 
   before(function(done) {
@@ -536,6 +622,13 @@ describe('Node Feed', function() {
       }).on('error', done);
     });
 
+    // Page cursors are "<direction>:<item ID>" encoded as URL-safe base64
+    var afterCursor1 = 'YWZ0ZXI6MQ';
+    var afterCursor2 = 'YWZ0ZXI6Mg';
+    var beforeCursor2 = 'YmVmb3JlOjI';
+    var feedUrl = 'http://localhost:' + config.port +
+                  '/alice@localhost/content/posts';
+
     it('should allow specifying the first returned item', function(done) {
       var options = {
         path: '/alice@localhost/content/posts?after=1',
@@ -552,6 +645,86 @@ describe('Node Feed', function() {
       }).on('error', done);
     });
 
+    it('should link to the next page', function(done) {
+      var options = {
+        path: '/alice@localhost/content/posts?max=2',
+        auth: 'alice@localhost/http:alice'
+      };
+      tutil.get(options, function(res, body) {
+        res.statusCode.should.equal(200);
+        res.headers['link'].should.include(
+          '<' + feedUrl + '?max=2&cursor=' + afterCursor2 + '>; rel="next"');
+        res.headers['x-total-count'].should.equal('3');
+
+        var feed = xml.parseXmlString(body);
+        var next = atom.get(feed, '/atom:feed/atom:link[@rel="next"]');
+        next.attr('href').value().should.equal(
+          feedUrl + '?max=2&cursor=' + afterCursor2);
+        should.not.exist(
+          atom.get(feed, '/atom:feed/atom:link[@rel="previous"]'));
+        done();
+      }).on('error', done);
+    });
+
+    it('should link to the previous page', function(done) {
+      var options = {
+        path: '/alice@localhost/content/posts?after=1',
+        auth: 'alice@localhost/http:alice'
+      };
+      tutil.get(options, function(res, body) {
+        res.statusCode.should.equal(200);
+        var feed = xml.parseXmlString(body);
+        var previous = atom.get(feed, '/atom:feed/atom:link[@rel="previous"]');
+        previous.attr('href').value().should.equal(
+          feedUrl + '?cursor=' + beforeCursor2);
+        done();
+      }).on('error', done);
+    });
+
+    it('should accept the cursors of paging links', function(done) {
+      var options = {
+        path: '/alice@localhost/content/posts?cursor=' + afterCursor1,
+        auth: 'alice@localhost/http:alice'
+      };
+      tutil.get(options, function(res, body) {
+        res.statusCode.should.equal(200);
+        var feed = xml.parseXmlString(body);
+        var entries = feed.find('/a:feed/a:entry', {a: atom.ns});
+        entries.length.should.equal(2);
+        atom.get(entries[0], 'atom:id').text().should.equal('2');
+        done();
+      }).on('error', done);
+    });
+
+    it('should be 400 for an invalid page cursor', function(done) {
+      var options = {
+        path: '/alice@localhost/content/posts?cursor=1',
+        auth: 'alice@localhost/http:alice'
+      };
+      tutil.get(options, function(res) {
+        res.statusCode.should.equal(400);
+        done();
+      }).on('error', done);
+    });
+
+    it('should advertise the WebSub hub', function(done) {
+      var options = {
+        path: '/alice@localhost/content/posts',
+        auth: 'alice@localhost/http:alice'
+      };
+      tutil.get(options, function(res, body) {
+        res.statusCode.should.equal(200);
+        var feed = xml.parseXmlString(body);
+        var hub = atom.get(feed, '/atom:feed/atom:link[@rel="hub"]');
+        hub.attr('href').value().should.match(/\/hub$/);
+        var self = atom.get(feed, '/atom:feed/atom:link[@rel="self"]');
+        self.attr('href').value().should.match(
+          /\/alice@localhost\/content\/posts$/);
+        res.headers['link'].should.include('rel="hub"');
+        done();
+      }).on('error', done);
+    });
+
     it('should be 401 if credentials are wrong', function(done) {
       var options = {
         path: '/alice@localhost/content/posts',
@@ -586,6 +759,44 @@ describe('Node Feed', function() {
 
   });
 
+  describe('GET next', function() {
+
+    var options = {
+      path: '/alice@localhost/next/posts',
+      auth: 'alice@localhost/http:alice'
+    };
+
+    it('should return items published while waiting', function(done) {
+      tutil.get(options, function(res, body) {
+        res.statusCode.should.equal(200);
+        var feed = xml.parseXmlString(body);
+        var entries = feed.find('/a:feed/a:entry', {a: atom.ns});
+        entries.length.should.equal(1);
+        atom.get(entries[0], 'atom:id').text().should.equal('4');
+        atom.get(entries[0], 'atom:content').text().should.equal('four');
+        done();
+      }).on('error', done);
+
+      // Give the request time to subscribe to the node first
+      setTimeout(function() {
+        tutil.notifyXmppClients(itemNotification);
+      }, 300);
+    });
+
+    it('should return an empty feed if nothing is published', function(done) {
+      this.timeout(3000);
+      var start = Date.now();
+      tutil.get(options, function(res, body) {
+        res.statusCode.should.equal(200);
+        (Date.now() - start).should.be.above(900);
+        var feed = xml.parseXmlString(body);
+        feed.find('/a:feed/a:entry', {a: atom.ns}).length.should.equal(0);
+        done();
+      }).on('error', done);
+    });
+
+  });
+
   describe('POST', function() {
 
     it('should create a new node item', function(done) {
@@ -703,9 +914,206 @@ describe('Node Feed', function() {
 
   });
 
+  describe('PUT', function() {
+
+    it('should create the node', function(done) {
+      var options = {
+        path: '/alice@localhost/content/photos',
+        auth: 'alice@localhost/http:alice',
+        headers: {'Content-Type': 'application/json'},
+        body: JSON.stringify({title: 'Photos'})
+      };
+      tutil.put(options, function(res) {
+        res.statusCode.should.equal(201);
+        res.headers['location'].should.equal(
+          '/alice@localhost/content/photos');
+        done();
+      }).on('error', done);
+    });
+
+    it('should be 409 if the node exists', function(done) {
+      var options = {
+        path: '/alice@localhost/content/posts',
+        auth: 'alice@localhost/http:alice',
+        body: ''
+      };
+      tutil.put(options, function(res) {
+        res.statusCode.should.equal(409);
+        done();
+      }).on('error', done);
+    });
+
+    it('should be 400 for an unknown access model', function(done) {
+      var options = {
+        path: '/alice@localhost/content/photos',
+        auth: 'alice@localhost/http:alice',
+        headers: {'Content-Type': 'application/json'},
+        body: JSON.stringify({access_model: 'everyone'})
+      };
+      tutil.put(options, function(res) {
+        res.statusCode.should.equal(400);
+        done();
+      }).on('error', done);
+    });
+
+    it('should be 400 for a title which is not a string', function(done) {
+      var options = {
+        path: '/alice@localhost/content/photos',
+        auth: 'alice@localhost/http:alice',
+        headers: {'Content-Type': 'application/json'},
+        body: JSON.stringify({title: {foo: 'bar'}})
+      };
+      tutil.put(options, function(res) {
+        res.statusCode.should.equal(400);
+        done();
+      }).on('error', done);
+    });
+
+  });
+
+  describe('DELETE', function() {
+
+    it('should delete the node', function(done) {
+      var options = {
+        path: '/alice@localhost/content/photos',
+        auth: 'alice@localhost/http:alice'
+      };
+      tutil.del(options, function(res) {
+        res.statusCode.should.equal(200);
+        done();
+      }).on('error', done);
+    });
+
+    it('should delete the node with a session ID', function(done) {
+      var options = {
+        path: '/alice@localhost/content/photos',
+        auth: 'alice@localhost/http:alice'
+      };
+      tutil.del(options, function(res) {
+        delete options.auth;
+        options.headers = {'X-Session-Id': res.headers['x-session-id']};
+        tutil.del(options, function(res2) {
+          res2.statusCode.should.equal(200);
+          done();
+        }).on('error', done);
+      }).on('error', done);
+    });
+
+    it('should be 403 if user is not the owner', function(done) {
+      var options = {
+        path: '/alice@localhost/content/photos',
+        auth: 'bob@localhost/http:bob'
+      };
+      tutil.del(options, function(res) {
+        res.statusCode.should.equal(403);
+        done();
+      }).on('error', done);
+    });
+
+  });
+
   after(function() {
     tutil.end();
   });
 
 });
 
+describe('Node Feed with several anonymous sessions', function() {
+
+  // See xmpp_mockserver.js
+  var poolMockConfig = {
+    users: {},
+    stanzas: {
+      // Temporary subscription of an anonymous session
+      '<iq from="*" type="set">\
+         <pubsub xmlns="http://jabber.org/protocol/pubsub">\
+           <subscribe node="/user/public@localhost/posts" jid="*"/>\
+           <options>\
+             <x xmlns="jabber:x:data" type="submit">\
+               <field var="FORM_TYPE" type="hidden">\
+                 <value>http://jabber.org/protocol/pubsub#node_config</value>\
+               </field>\
+               <field var="pubsub#expire" type="text-single">\
+                 <value>presence</value>\
+               </field>\
+             </x>\
+           </options>\
+         </pubsub>\
+       </iq>':
+      '<iq type="result"/>',
+
+      // Get public node items anonymously
+      '<iq from="*" type="get">\
+         <pubsub xmlns="http://jabber.org/protocol/pubsub">\
+           <items node="/user/public@localhost/posts"/>\
+         </pubsub>\
+       </iq>':
+      '<iq type="result">\
+         <pubsub xmlns="http://jabber.org/protocol/pubsub">\
+           <items node="/user/public@localhost/posts">\
+             <item id="1">\
+               <entry xmlns="http://www.w3.org/2005/Atom">\
+                 <id>1</id>\
+                 <author><name>public@localhost</name></author>\
+                 <content>one</content>\
+                 <updated>2012-10-16T12:00:00Z</updated>\
+               </entry>\
+             </item>\
+           </items>\
+         </pubsub>\
+       </iq>'
+    }
+  };
+
+  var publicNotification =
+    '<message from="localhost">\
+       <event xmlns="http://jabber.org/protocol/pubsub#event">\
+         <items node="/user/public@localhost/posts">\
+           <item id="2">\
+             <entry xmlns="http://www.w3.org/2005/Atom">\
+               <id>2</id>\
+               <author><name>public@localhost</name></author>\
+               <content>two</content>\
+               <updated>2012-10-17T12:00:00Z</updated>\
+             </entry>\
+           </item>\
+         </items>\
+       </event>\
+     </message>';
+
+  before(function(done) {
+    tutil.startHttpServer(function() {
+      tutil.mockXmppServer(poolMockConfig, done);
+    }, 'poolTesting');
+  });
+
+  it('should wait for items after the one returned by GET', function(done) {
+    var feedOptions = {path: '/public@localhost/content/posts'};
+    tutil.get(feedOptions, function(res, body) {
+      res.statusCode.should.equal(200);
+
+      var nextOptions = {
+        path: '/public@localhost/next/posts' +
+              '?since_post=1&since_time=2012-10-16T12:00:00Z'
+      };
+      tutil.get(nextOptions, function(res, body) {
+        res.statusCode.should.equal(200);
+        var feed = xml.parseXmlString(body);
+        var entries = feed.find('/a:feed/a:entry', {a: atom.ns});
+        entries.length.should.equal(1);
+        atom.get(entries[0], 'atom:id').text().should.equal('2');
+        done();
+      }).on('error', done);
+
+      // Give the request time to start waiting first
+      setTimeout(function() {
+        tutil.notifyXmppClients(publicNotification);
+      }, 300);
+    }).on('error', done);
+  });
+
+  after(function() {
+    tutil.end();
+  });
+
+});
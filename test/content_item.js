@@ -80,6 +80,148 @@ var mockConfig = {
        <pubsub xmlns="http://jabber.org/protocol/pubsub">\
          <items node="/user/alice@localhost/posts"/>\
        </pubsub>\
+     </iq>',
+
+    // Get replies to node item
+    '<iq from="alice@localhost/http" type="get">\
+       <pubsub xmlns="http://jabber.org/protocol/pubsub">\
+         <replies node="/user/alice@localhost/posts" item_id="foo"/>\
+       </pubsub>\
+     </iq>':
+    '<iq type="result">\
+       <pubsub xmlns="http://jabber.org/protocol/pubsub">\
+         <items node="/user/alice@localhost/posts">\
+           <item id="reply2">\
+             <entry xmlns="http://www.w3.org/2005/Atom">\
+               <id>reply2</id>\
+               <author>\
+                 <name>alice@localhost</name>\
+               </author>\
+               <content>second</content>\
+               <updated>2012-10-19T12:00:00Z</updated>\
+               <in-reply-to xmlns="http://purl.org/syndication/thread/1.0"\
+                            ref="foo"/>\
+             </entry>\
+           </item>\
+           <item id="reply1">\
+             <entry xmlns="http://www.w3.org/2005/Atom">\
+               <id>reply1</id>\
+               <author>\
+                 <name>bob@localhost</name>\
+               </author>\
+               <content>first</content>\
+               <updated>2012-10-18T12:00:00Z</updated>\
+               <in-reply-to xmlns="http://purl.org/syndication/thread/1.0"\
+                            ref="foo"/>\
+             </entry>\
+           </item>\
+         </items>\
+       </pubsub>\
+     </iq>',
+
+    // Update node item
+    '<iq from="alice@localhost/http" type="set">\
+       <pubsub xmlns="http://jabber.org/protocol/pubsub">\
+         <publish node="/user/alice@localhost/posts">\
+           <item id="foo">\
+             <entry xmlns="http://www.w3.org/2005/Atom">\
+               <content>EDITED</content>\
+               <updated>*</updated>\
+             </entry>\
+           </item>\
+         </publish>\
+       </pubsub>\
+     </iq>':
+    {
+      '':
+      '<iq type="result">\
+         <pubsub xmlns="http://jabber.org/protocol/pubsub">\
+           <publish node="/user/alice@localhost/posts">\
+             <item id="foo"/>\
+           </publish>\
+         </pubsub>\
+       </iq>',
+
+      '<iq from="alice@localhost/http" type="get">\
+         <pubsub xmlns="http://jabber.org/protocol/pubsub">\
+           <items node="/user/alice@localhost/posts">\
+             <item id="foo"/>\
+           </items>\
+         </pubsub>\
+       </iq>':
+      '<iq type="result">\
+         <pubsub xmlns="http://jabber.org/protocol/pubsub">\
+           <items node="/user/alice@localhost/posts">\
+             <item id="foo">\
+               <entry xmlns="http://www.w3.org/2005/Atom">\
+                 <id>foo</id>\
+                 <author>\
+                   <name>alice@localhost</name>\
+                 </author>\
+                 <content>EDITED</content>\
+                 <updated>2012-10-19T12:00:00Z</updated>\
+               </entry>\
+             </item>\
+           </items>\
+         </pubsub>\
+       </iq>'
+    },
+
+    // Update node item without permission
+    '<iq from="bob@localhost/http" type="set">\
+       <pubsub xmlns="http://jabber.org/protocol/pubsub">\
+         <publish node="/user/alice@localhost/posts">\
+           <item id="foo">\
+             <entry xmlns="http://www.w3.org/2005/Atom">\
+               <content>BOB WAS HERE</content>\
+               <updated>*</updated>\
+             </entry>\
+           </item>\
+         </publish>\
+       </pubsub>\
+     </iq>':
+    '<iq type="error">\
+       <error type="auth">\
+         <forbidden xmlns="urn:ietf:params:xml:ns:xmpp-stanzas"/>\
+       </error>\
+     </iq>',
+
+    // Retract node item
+    '<iq from="alice@localhost/http" type="set">\
+       <pubsub xmlns="http://jabber.org/protocol/pubsub">\
+         <retract node="/user/alice@localhost/posts">\
+           <item id="foo"/>\
+         </retract>\
+       </pubsub>\
+     </iq>':
+    '<iq type="result"/>',
+
+    // Retract node item without permission
+    '<iq from="bob@localhost/http" type="set">\
+       <pubsub xmlns="http://jabber.org/protocol/pubsub">\
+         <retract node="/user/alice@localhost/posts">\
+           <item id="foo"/>\
+         </retract>\
+       </pubsub>\
+     </iq>':
+    '<iq type="error">\
+       <error type="auth">\
+         <forbidden xmlns="urn:ietf:params:xml:ns:xmpp-stanzas"/>\
+       </error>\
+     </iq>',
+
+    // Retract node item that doesn't exist
+    '<iq from="alice@localhost/http" type="set">\
+       <pubsub xmlns="http://jabber.org/protocol/pubsub">\
+         <retract node="/user/alice@localhost/posts">\
+           <item id="bar"/>\
+         </retract>\
+       </pubsub>\
+     </iq>':
+    '<iq type="error">\
+       <error type="cancel">\
+         <item-not-found xmlns="urn:ietf:params:xml:ns:xmpp-stanzas"/>\
+       </error>\
      </iq>'
   }
 };
@@ -131,6 +273,37 @@ describe('Node Item', function() {
       }).on('error', done);
     });
 
+    it('should return an ETag', function(done) {
+      var options = {
+        path: '/alice@localhost/content/posts/foo',
+        auth: 'alice@localhost/http:alice'
+      };
+      tutil.get(options, function(res, body) {
+        res.statusCode.should.equal(200);
+        should.exist(res.headers['etag']);
+        done();
+      }).on('error', done);
+    });
+
+    it('should be 304 if the ETag matches', function(done) {
+      var options = {
+        path: '/alice@localhost/content/posts/foo',
+        auth: 'alice@localhost/http:alice'
+      };
+      tutil.get(options, function(res, body) {
+        var options2 = {
+          path: '/alice@localhost/content/posts/foo',
+          auth: 'alice@localhost/http:alice',
+          headers: {'If-None-Match': res.headers['etag']}
+        };
+        tutil.get(options2, function(res2, body2) {
+          res2.statusCode.should.equal(304);
+          body2.length.should.equal(0);
+          done();
+        }).on('error', done);
+      }).on('error', done);
+    });
+
     it('should be 401 if credentials are wrong', function(done) {
       var options = {
         path: '/alice@localhost/content/posts/foo',
@@ -166,6 +339,139 @@ describe('Node Item', function() {
 
   });
 
+  describe('GET replies', function() {
+
+    it('should return the item and its replies in order', function(done) {
+      var options = {
+        path: '/alice@localhost/content/posts/foo/replies',
+        auth: 'alice@localhost/http:alice',
+        headers: {'Accept': 'application/json'}
+      };
+      tutil.get(options, function(res, body) {
+        res.statusCode.should.equal(200);
+
+        var entries = JSON.parse(body);
+        entries.length.should.equal(3);
+        entries[0].id.should.equal('foo');
+        entries[1].id.should.equal('reply1');
+        entries[1].replyTo.should.equal('foo');
+        entries[2].id.should.equal('reply2');
+
+        done();
+      }).on('error', done);
+    });
+
+    it('should be 404 if item doesn\'t exist', function(done) {
+      var options = {
+        path: '/alice@localhost/content/posts/bar/replies',
+        auth: 'alice@localhost/http:alice'
+      };
+      tutil.get(options, function(res, body) {
+        res.statusCode.should.equal(404);
+        done();
+      }).on('error', done);
+    });
+
+  });
+
+  describe('PUT', function() {
+
+    it('should update the item and return it', function(done) {
+      var options = {
+        path: '/alice@localhost/content/posts/foo',
+        auth: 'alice@localhost/http:alice',
+        body: '<entry xmlns="http://www.w3.org/2005/Atom">\
+                 <content>EDITED</content>\
+               </entry>'
+      };
+      tutil.put(options, function(res, body) {
+        res.statusCode.should.equal(200);
+        var entry = xml.parseXmlString(body);
+
+        atom.get(entry, 'atom:id').text().should.equal('foo');
+        atom.get(entry, 'atom:content').text().should.equal('EDITED');
+        should.exist(atom.get(entry, 'atom:updated'));
+
+        done();
+      }).on('error', done);
+    });
+
+    it('should be 400 if the entry is malformed', function(done) {
+      var options = {
+        path: '/alice@localhost/content/posts/foo',
+        auth: 'alice@localhost/http:alice',
+        body: '<entry xmlns="http://www.w3.org/2005/Atom">'
+      };
+      tutil.put(options, function(res, body) {
+        res.statusCode.should.equal(400);
+        done();
+      }).on('error', done);
+    });
+
+    it('should be 403 if user doesn\'t have permissions', function(done) {
+      var options = {
+        path: '/alice@localhost/content/posts/foo',
+        auth: 'bob@localhost/http:bob',
+        body: '<entry xmlns="http://www.w3.org/2005/Atom">\
+                 <content>BOB WAS HERE</content>\
+               </entry>'
+      };
+      tutil.put(options, function(res, body) {
+        res.statusCode.should.equal(403);
+        done();
+      }).on('error', done);
+    });
+
+  });
+
+  describe('DELETE', function() {
+
+    it('should retract the item', function(done) {
+      var options = {
+        path: '/alice@localhost/content/posts/foo',
+        auth: 'alice@localhost/http:alice'
+      };
+      tutil.del(options, function(res, body) {
+        res.statusCode.should.equal(200);
+        done();
+      }).on('error', done);
+    });
+
+    it('should be 401 if credentials are wrong', function(done) {
+      var options = {
+        path: '/alice@localhost/content/posts/foo',
+        auth: 'alice@localhost:bob'
+      };
+      tutil.del(options, function(res, body) {
+        res.statusCode.should.equal(401);
+        done();
+      }).on('error', done);
+    });
+
+    it('should be 403 if user doesn\'t have permissions', function(done) {
+      var options = {
+        path: '/alice@localhost/content/posts/foo',
+        auth: 'bob@localhost/http:bob'
+      };
+      tutil.del(options, function(res, body) {
+        res.statusCode.should.equal(403);
+        done();
+      }).on('error', done);
+    });
+
+    it('should be 404 if item doesn\'t exist', function(done) {
+      var options = {
+        path: '/alice@localhost/content/posts/bar',
+        auth: 'alice@localhost/http:alice'
+      };
+      tutil.del(options, function(res, body) {
+        res.statusCode.should.equal(404);
+        done();
+      }).on('error', done);
+    });
+
+  });
+
   after(function() {
     tutil.end();
   });
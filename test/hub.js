@@ -0,0 +1,259 @@
+/*
+ * Copyright 2012 Denis Washington <denisw@online.de>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// test/hub.js:
+// Tests the WebSub hub.
+
+var crypto = require('crypto');
+var http = require('http');
+var querystring = require('querystring');
+var url = require('url');
+var should = require('should');
+var config = require('../src/util/config');
+var tutil = require('./support/testutil');
+
+// See xmpp_mockserver.js
+var mockConfig = {
+  users: {},
+  stanzas: {
+    // Temporary subscription of an anonymous session
+    '<iq type="set">\
+       <pubsub xmlns="http://jabber.org/protocol/pubsub">\
+         <subscribe node="/user/public@localhost/posts" jid="*"/>\
+         <options>\
+           <x xmlns="jabber:x:data" type="submit">\
+             <field var="FORM_TYPE" type="hidden">\
+               <value>http://jabber.org/protocol/pubsub#node_config</value>\
+             </field>\
+             <field var="pubsub#expire" type="text-single">\
+               <value>presence</value>\
+             </field>\
+           </x>\
+         </options>\
+       </pubsub>\
+     </iq>':
+    '<iq type="result"/>'
+  }
+};
+
+var itemNotification =
+  '<message from="localhost">\
+     <event xmlns="http://jabber.org/protocol/pubsub#event">\
+       <items node="/user/public@localhost/posts">\
+         <item id="1">\
+           <entry xmlns="http://www.w3.org/2005/Atom">\
+             <id>1</id>\
+             <author><name>public@localhost</name></author>\
+             <content>Hello</content>\
+             <updated>2012-10-16T12:00:00Z</updated>\
+           </entry>\
+         </item>\
+       </items>\
+     </event>\
+   </message>';
+
+describe('WebSub hub', function() {
+
+  var topic = 'http://localhost:' + config.port +
+              '/public@localhost/content/posts';
+  var subscriber;
+  var subscriberUrl;
+
+  // path -> function(req, query, body, res) handling requests made to
+  // the subscriber
+  var handlers = {};
+
+  before(function(done) {
+    subscriber = http.createServer(function(req, res) {
+      var body = '';
+      req.setEncoding('utf8');
+      req.on('data', function(data) {
+        body += data;
+      });
+      req.on('end', function() {
+        var parsed = url.parse(req.url, true);
+        var handler = handlers[parsed.pathname];
+        if (handler) {
+          handler(req, parsed.query, body, res);
+        } else {
+          res.end();
+        }
+      });
+    });
+    subscriber.listen(0, 'localhost', function() {
+      subscriberUrl = 'http://localhost:' + subscriber.address().port;
+      tutil.startHttpServer(function() {
+        tutil.mockXmppServer(mockConfig, done);
+      });
+    });
+  });
+
+  function hubRequest(params, callback) {
+    var options = {
+      path: '/hub',
+      headers: {'Content-Type': 'application/x-www-form-urlencoded'},
+      body: querystring.stringify(params)
+    };
+    tutil.post(options, function(res) {
+      callback(res.statusCode);
+    }).on('error', callback);
+  }
+
+  // Makes a subscription request for 'path' on the subscriber, answers
+  // its verification with 'challenge' (or the correct one if omitted)
+  // and calls 'callback' shortly after.
+  function subscribe(path, mode, challenge, callback) {
+    handlers[path] = function(req, query, body, res) {
+      req.method.should.equal('GET');
+      query['hub.mode'].should.equal(mode);
+      query['hub.topic'].should.equal(topic);
+      res.end(challenge || query['hub.challenge']);
+      setTimeout(callback, 200);
+    };
+    hubRequest({
+      'hub.mode': mode,
+      'hub.callback': subscriberUrl + path,
+      'hub.topic': topic,
+      'hub.secret': 's3cr3t',
+      'hub.lease_seconds': '60'
+    }, function(status) {
+      status.should.equal(202);
+    });
+  }
+
+  // Publishes an item and calls 'callback' after giving the hub time to
+  // distribute it.
+  function publish(callback) {
+    tutil.notifyXmppClients(itemNotification, function() {
+      setTimeout(callback, 300);
+    });
+  }
+
+  it('should be 400 for an invalid mode', function(done) {
+    hubRequest({
+      'hub.mode': 'publish',
+      'hub.callback': subscriberUrl + '/invalid',
+      'hub.topic': topic
+    }, function(status) {
+      status.should.equal(400);
+      done();
+    });
+  });
+
+  it('should be 400 for topics which are not node feeds', function(done) {
+    hubRequest({
+      'hub.mode': 'subscribe',
+      'hub.callback': subscriberUrl + '/invalid',
+      'hub.topic': 'http://localhost:' + config.port + '/public@localhost'
+    }, function(status) {
+      status.should.equal(400);
+      done();
+    });
+  });
+
+  it('should verify the intent of subscribers', function(done) {
+    handlers['/verified'] = function(req, query, body, res) {
+      query['hub.mode'].should.equal('subscribe');
+      query['hub.topic'].should.equal(topic);
+      query['hub.lease_seconds'].should.equal('60');
+      should.exist(query['hub.challenge']);
+      res.end(query['hub.challenge']);
+      done();
+    };
+    hubRequest({
+      'hub.mode': 'subscribe',
+      'hub.callback': subscriberUrl + '/verified',
+      'hub.topic': topic,
+      'hub.lease_seconds': '60'
+    }, function(status) {
+      status.should.equal(202);
+    });
+  });
+
+  it('should deny subscriptions to unknown topics', function(done) {
+    handlers['/denied'] = function(req, query, body, res) {
+      query['hub.mode'].should.equal('denied');
+      query['hub.topic'].should.equal(
+        'http://localhost:' + config.port + '/nobody@localhost/content/posts');
+      should.exist(query['hub.reason']);
+      res.end();
+      done();
+    };
+    hubRequest({
+      'hub.mode': 'subscribe',
+      'hub.callback': subscriberUrl + '/denied',
+      'hub.topic': 'http://localhost:' + config.port +
+                   '/nobody@localhost/content/posts'
+    }, function(status) {
+      status.should.equal(202);
+    });
+  });
+
+  it('should distribute new items to subscribers', function(done) {
+    subscribe('/distribution', 'subscribe', null, function() {
+      handlers['/distribution'] = function(req, query, body, res) {
+        res.end();
+        req.method.should.equal('POST');
+        req.headers['content-type'].should.equal('application/atom+xml');
+        req.headers['link'].should.include('/hub>; rel="hub"');
+        req.headers['link'].should.include('<' + topic + '>; rel="self"');
+
+        var hmac = crypto.createHmac('sha256', 's3cr3t');
+        req.headers['x-hub-signature'].should.equal(
+          'sha256=' + hmac.update(body).digest('hex'));
+        body.should.include('<content>Hello</content>');
+        done();
+      };
+      tutil.notifyXmppClients(itemNotification);
+    });
+  });
+
+  it('should not distribute to unverified subscribers', function(done) {
+    var delivered = false;
+    subscribe('/unverified', 'subscribe', 'wrong', function() {
+      handlers['/unverified'] = function(req, query, body, res) {
+        delivered = true;
+        res.end();
+      };
+      publish(function() {
+        delivered.should.be.false;
+        done();
+      });
+    });
+  });
+
+  it('should not distribute after unsubscribing', function(done) {
+    var delivered = false;
+    subscribe('/leaving', 'subscribe', null, function() {
+      subscribe('/leaving', 'unsubscribe', null, function() {
+        handlers['/leaving'] = function(req, query, body, res) {
+          delivered = true;
+          res.end();
+        };
+        publish(function() {
+          delivered.should.be.false;
+          done();
+        });
+      });
+    });
+  });
+
+  after(function() {
+    subscriber.close();
+    tutil.end();
+  });
+
+});
@@ -0,0 +1,181 @@
+/*
+ * Copyright 2012 Denis Washington <denisw@online.de>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// test/loginguard.js:
+// Tests the protection against password guessing and mass registration.
+
+var should = require('should');
+var config = require('../src/util/config');
+var loginguard = require('../src/util/loginguard');
+
+// The delay after failed logins in these tests (in seconds)
+var delay = 0.05;
+
+function fakeRequest(address) {
+  return {connection: {remoteAddress: address}};
+}
+
+// Calls loginguard.beforeLogin() and passes 'callback' the lockout time
+// and whether the attempt was delayed.
+function attempt(req, user, callback) {
+  var start = Date.now();
+  loginguard.beforeLogin(req, user, function(lockedFor) {
+    callback(lockedFor, Date.now() - start >= delay * 1000 * 0.8);
+  });
+}
+
+describe('Login guard', function() {
+
+  var savedConfig = {};
+
+  before(function() {
+    ['maxLoginFailures', 'maxLoginFailuresPerAddress', 'maxLoginDelay',
+     'loginLockoutTime', 'maxRegistrationsPerAddress'].forEach(
+      function(name) {
+        savedConfig[name] = config[name];
+      });
+    config.maxLoginFailures = 3;
+    config.maxLoginFailuresPerAddress = 5;
+    config.maxLoginDelay = delay;
+    config.loginLockoutTime = 60;
+    config.maxRegistrationsPerAddress = 2;
+  });
+
+  it('should not delay first logins', function(done) {
+    var req = fakeRequest('10.0.1.1');
+    attempt(req, 'alice@localhost', function(lockedFor, delayed) {
+      lockedFor.should.equal(0);
+      delayed.should.be.false;
+      loginguard.loginSucceeded(req, 'alice@localhost');
+      done();
+    });
+  });
+
+  it('should delay logins after a failure', function(done) {
+    var req = fakeRequest('10.0.1.2');
+    attempt(req, 'bob@localhost', function() {
+      loginguard.loginFailed(req, 'bob@localhost');
+      var req2 = fakeRequest('10.0.1.3');
+      attempt(req2, 'bob@localhost', function(lockedFor, delayed) {
+        lockedFor.should.equal(0);
+        delayed.should.be.true;
+        loginguard.loginSucceeded(req2, 'bob@localhost');
+        done();
+      });
+    });
+  });
+
+  it('should forget failures of a user after a successful login',
+    function(done) {
+      var req = fakeRequest('10.0.1.4');
+      attempt(req, 'carol@localhost', function() {
+        loginguard.loginFailed(req, 'carol@localhost');
+        attempt(req, 'carol@localhost', function() {
+          loginguard.loginSucceeded(req, 'carol@localhost');
+          var req2 = fakeRequest('10.0.1.5');
+          attempt(req2, 'carol@localhost', function(lockedFor, delayed) {
+            delayed.should.be.false;
+            loginguard.loginSucceeded(req2, 'carol@localhost');
+            done();
+          });
+        });
+      });
+    });
+
+  it('should delay logins made in parallel', function(done) {
+    var req = fakeRequest('10.0.1.6');
+    attempt(req, 'dave@localhost', function(lockedFor, delayed) {
+      delayed.should.be.false;
+      attempt(req, 'dave@localhost', function(lockedFor, delayed) {
+        delayed.should.be.true;
+        loginguard.loginSucceeded(req, 'dave@localhost');
+        loginguard.loginSucceeded(req, 'dave@localhost');
+        done();
+      });
+    });
+  });
+
+  it('should not count aborted logins', function(done) {
+    var req = fakeRequest('10.0.1.7');
+    attempt(req, 'erin@localhost', function() {
+      loginguard.loginAborted(req, 'erin@localhost');
+      attempt(req, 'erin@localhost', function(lockedFor, delayed) {
+        delayed.should.be.false;
+        loginguard.loginSucceeded(req, 'erin@localhost');
+        done();
+      });
+    });
+  });
+
+  it('should lock out users after too many failures', function(done) {
+    var user = 'frank@localhost';
+    var failed = 0;
+
+    function fail() {
+      var req = fakeRequest('10.0.2.' + failed);
+      attempt(req, user, function(lockedFor) {
+        lockedFor.should.equal(0);
+        loginguard.loginFailed(req, user);
+        if (++failed < config.maxLoginFailures) {
+          fail();
+        } else {
+          attempt(fakeRequest('10.0.2.99'), user, function(lockedFor) {
+            lockedFor.should.equal(config.loginLockoutTime);
+            done();
+          });
+        }
+      });
+    }
+    fail();
+  });
+
+  it('should lock out addresses after too many failures', function(done) {
+    var req = fakeRequest('10.0.1.8');
+    var failed = 0;
+
+    function fail() {
+      var user = 'user' + failed + '@localhost';
+      attempt(req, user, function(lockedFor) {
+        lockedFor.should.equal(0);
+        loginguard.loginFailed(req, user);
+        if (++failed < config.maxLoginFailuresPerAddress) {
+          fail();
+        } else {
+          attempt(req, 'grace@localhost', function(lockedFor) {
+            lockedFor.should.equal(config.loginLockoutTime);
+            done();
+          });
+        }
+      });
+    }
+    fail();
+  });
+
+  it('should limit registrations per address', function() {
+    var req = fakeRequest('10.0.1.9');
+    loginguard.beforeRegistration(req).should.equal(0);
+    loginguard.beforeRegistration(req).should.equal(0);
+    loginguard.beforeRegistration(req).should.equal(3600);
+    loginguard.beforeRegistration(fakeRequest('10.0.1.10')).should.equal(0);
+  });
+
+  after(function() {
+    for (var name in savedConfig) {
+      config[name] = savedConfig[name];
+    }
+  });
+
+});
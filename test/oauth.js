@@ -0,0 +1,292 @@
+/*
+ * Copyright 2012 Denis Washington <denisw@online.de>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// test/oauth.js:
+// Tests the OAuth 2.0 authorization code flow.
+
+var should = require('should');
+var querystring = require('querystring');
+var url = require('url');
+var tutil = require('./support/testutil');
+
+// See xmpp_mockserver.js
+var mockConfig = {
+  users: {
+    'alice': 'alice'
+  },
+  stanzas: {}
+};
+
+function postForm(path, params, callback) {
+  var options = {
+    path: path,
+    headers: {'Content-Type': 'application/x-www-form-urlencoded'},
+    body: querystring.stringify(params)
+  };
+  return tutil.post(options, callback);
+}
+
+var redirectUri = 'http://localhost/callback';
+
+function authorize(password, callback) {
+  var params = {
+    response_type: 'code',
+    client_id: 'testapp',
+    redirect_uri: redirectUri,
+    scope: 'read',
+    state: 'xyz',
+    username: 'alice',
+    password: password,
+    decision: 'allow'
+  };
+  return postForm('/oauth/authorize', params, callback);
+}
+
+function getCode(callback) {
+  authorize('alice', function(res) {
+    res.statusCode.should.equal(302);
+    var location = url.parse(res.headers['location'], true);
+    location.query.state.should.equal('xyz');
+    callback(location.query.code);
+  });
+}
+
+// Returns the parameters of a token request for an authorization code.
+function codeParams(code) {
+  return {
+    grant_type: 'authorization_code',
+    code: code,
+    redirect_uri: redirectUri
+  };
+}
+
+function requestToken(params, callback) {
+  params.client_id = 'testapp';
+  params.client_secret = 'secret';
+  return postForm('/oauth/token', params, function(res, body) {
+    callback(res, JSON.parse(body.toString()));
+  });
+}
+
+describe('OAuth authorization', function() {
+
+  before(function(done) {
+    tutil.startHttpServer(function() {
+      tutil.mockXmppServer(mockConfig, done);
+    });
+  });
+
+  it('should show the authorization page', function(done) {
+    var options = {
+      path: '/oauth/authorize?response_type=code&client_id=testapp&scope=read'
+    };
+    tutil.get(options, function(res, body) {
+      res.statusCode.should.equal(200);
+      body.toString().should.include('Test App');
+      done();
+    }).on('error', done);
+  });
+
+  it('should be 400 for unknown clients', function(done) {
+    var options = {
+      path: '/oauth/authorize?response_type=code&client_id=foo'
+    };
+    tutil.get(options, function(res) {
+      res.statusCode.should.equal(400);
+      done();
+    }).on('error', done);
+  });
+
+  it('should redirect with an error if denied', function(done) {
+    var params = {
+      response_type: 'code',
+      client_id: 'testapp',
+      decision: 'deny'
+    };
+    postForm('/oauth/authorize', params, function(res) {
+      res.statusCode.should.equal(302);
+      var location = url.parse(res.headers['location'], true);
+      location.query.error.should.equal('access_denied');
+      done();
+    }).on('error', done);
+  });
+
+  it('should not redirect if credentials are wrong', function(done) {
+    authorize('bob', function(res) {
+      res.statusCode.should.equal(200);
+      should.not.exist(res.headers['location']);
+      done();
+    }).on('error', done);
+  });
+
+  it('should issue tokens for authorization codes', function(done) {
+    getCode(function(code) {
+      requestToken(codeParams(code), function(res, result) {
+        res.statusCode.should.equal(200);
+        result.token_type.should.equal('Bearer');
+        result.scope.should.equal('read');
+        should.exist(result.access_token);
+        should.exist(result.refresh_token);
+        done();
+      });
+    });
+  });
+
+  it('should not accept authorization codes twice', function(done) {
+    getCode(function(code) {
+      var params = codeParams(code);
+      requestToken(params, function(res) {
+        res.statusCode.should.equal(200);
+        requestToken(params, function(res2, result) {
+          res2.statusCode.should.equal(400);
+          result.error.should.equal('invalid_grant');
+          done();
+        });
+      });
+    });
+  });
+
+  it('should require the redirection URI of the authorization request',
+    function(done) {
+      getCode(function(code) {
+        var params = {grant_type: 'authorization_code', code: code};
+        requestToken(params, function(res, result) {
+          res.statusCode.should.equal(400);
+          result.error.should.equal('invalid_grant');
+          getCode(function(code2) {
+            var params2 = codeParams(code2);
+            params2.redirect_uri = 'http://localhost/other';
+            requestToken(params2, function(res2, result2) {
+              res2.statusCode.should.equal(400);
+              result2.error.should.equal('invalid_grant');
+              done();
+            });
+          });
+        });
+      });
+    });
+
+  it('should issue new tokens for refresh tokens', function(done) {
+    getCode(function(code) {
+      var params = codeParams(code);
+      requestToken(params, function(res, result) {
+        var refreshParams = {
+          grant_type: 'refresh_token',
+          refresh_token: result.refresh_token
+        };
+        requestToken(refreshParams, function(res2, result2) {
+          res2.statusCode.should.equal(200);
+          result2.refresh_token.should.not.equal(result.refresh_token);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should not accept refresh tokens after logging out', function(done) {
+    getCode(function(code) {
+      requestToken(codeParams(code), function(res, result) {
+        var options = {
+          path: '/session',
+          headers: {'Authorization': 'Bearer ' + result.access_token}
+        };
+        tutil.del(options, function(res2) {
+          res2.statusCode.should.equal(200);
+          var refreshParams = {
+            grant_type: 'refresh_token',
+            refresh_token: result.refresh_token
+          };
+          requestToken(refreshParams, function(res3, result3) {
+            res3.statusCode.should.equal(400);
+            result3.error.should.equal('invalid_grant');
+            done();
+          });
+        }).on('error', done);
+      });
+    });
+  });
+
+  it('should reject clients with wrong secrets', function(done) {
+    var params = {
+      grant_type: 'refresh_token',
+      refresh_token: 'foo',
+      client_id: 'testapp',
+      client_secret: 'wrong'
+    };
+    postForm('/oauth/token', params, function(res) {
+      res.statusCode.should.equal(401);
+      done();
+    }).on('error', done);
+  });
+
+  it('should restrict tokens to their scope', function(done) {
+    getCode(function(code) {
+      var params = codeParams(code);
+      requestToken(params, function(res, result) {
+        var options = {
+          path: '/alice@localhost/content/posts',
+          headers: {
+            'Authorization': 'Bearer ' + result.access_token,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({content: 'test'})
+        };
+        tutil.post(options, function(res2) {
+          res2.statusCode.should.equal(403);
+          done();
+        }).on('error', done);
+      });
+    });
+  });
+
+  it('should restrict media uploads to their scope', function(done) {
+    getCode(function(code) {
+      var params = codeParams(code);
+      requestToken(params, function(res, result) {
+        var options = {
+          path: '/alice@localhost/media',
+          headers: {'Authorization': 'Bearer ' + result.access_token},
+          body: 'data'
+        };
+        tutil.post(options, function(res2) {
+          res2.statusCode.should.equal(403);
+          done();
+        }).on('error', done);
+      });
+    });
+  });
+
+  it('should not reveal the session ID to clients', function(done) {
+    getCode(function(code) {
+      var params = codeParams(code);
+      requestToken(params, function(res, result) {
+        var options = {
+          path: '/alice@localhost/metadata/posts',
+          headers: {'Authorization': 'Bearer ' + result.access_token}
+        };
+        tutil.get(options, function(res2) {
+          should.not.exist(res2.headers['x-session-id']);
+          done();
+        }).on('error', done);
+      });
+    });
+  });
+
+  after(function() {
+    tutil.end();
+  });
+
+});
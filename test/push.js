@@ -0,0 +1,159 @@
+/*
+ * Copyright 2012 Denis Washington <denisw@online.de>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// test/push.js:
+// Tests the push backends for publishing proxies.
+
+var http = require('http');
+var jwt = require('jwt-simple');
+var should = require('should');
+var config = require('../src/util/config');
+
+var pushPath = require.resolve('../src/util/push');
+var gripKey = new Buffer('secret').toString('base64');
+
+// Loads a fresh copy of push.js, as the backend is only created once.
+function loadPush() {
+  delete require.cache[pushPath];
+  return require(pushPath);
+}
+
+// Returns a fake response which passes what is sent to 'callback'.
+function fakeResponse(callback) {
+  return {
+    send: function(body, headers) {
+      callback(body, headers);
+    }
+  };
+}
+
+describe('GRIP push backend', function() {
+
+  var savedConfig = {};
+  var proxy;
+  var onPublish;
+
+  before(function(done) {
+    ['pushBackend', 'gripPublishUrl', 'gripKey', 'gripIssuer'].forEach(
+      function(name) {
+        savedConfig[name] = config[name];
+      });
+    config.pushBackend = 'grip';
+    config.gripKey = gripKey;
+    config.gripIssuer = 'buddycloud';
+
+    proxy = http.createServer(function(req, res) {
+      var body = '';
+      req.setEncoding('utf8');
+      req.on('data', function(data) {
+        body += data;
+      });
+      req.on('end', function() {
+        res.end();
+        onPublish(req, JSON.parse(body));
+      });
+    });
+    proxy.listen(0, 'localhost', function() {
+      config.gripPublishUrl = 'http://localhost:' + proxy.address().port +
+                              '/publish/';
+      done();
+    });
+  });
+
+  it('should refuse to start without a publish URL', function() {
+    delete config.gripPublishUrl;
+    var push = loadPush();
+    (function() {
+      push.init();
+    }).should.throw(/gripPublishUrl/);
+  });
+
+  it('should refuse to start with a non-HTTP publish URL', function() {
+    config.gripPublishUrl = 'localhost:5561/publish/';
+    var push = loadPush();
+    (function() {
+      push.init();
+    }).should.throw(/gripPublishUrl/);
+  });
+
+  it('should publish items to the proxy', function(done) {
+    config.gripPublishUrl = 'http://localhost:' + proxy.address().port +
+                            '/publish/';
+    var push = loadPush();
+    push.init();
+    push.isEnabled().should.be.true;
+
+    onPublish = function(req, content) {
+      req.method.should.equal('POST');
+      req.url.should.equal('/publish/');
+      req.headers['content-type'].should.equal('application/json');
+
+      var token = req.headers['authorization'].replace(/^Bearer /, '');
+      var claim = jwt.decode(token, new Buffer(gripKey, 'base64'));
+      claim.iss.should.equal('buddycloud');
+
+      content.should.eql({items: [{
+        'channel': 'posts',
+        'id': '2',
+        'prev-id': '1',
+        'formats': {'http-response': {headers: {}, body: 'Hello'}}
+      }]});
+      done();
+    };
+    push.publish('posts', '2', '1', {headers: {}, body: 'Hello'});
+  });
+
+  it('should send hold instructions in response headers', function(done) {
+    var push = loadPush();
+    var response = {headers: {'Content-Type': 'text/plain'}, body: 'none'};
+    push.sendHoldResponse(fakeResponse(function(body, headers) {
+      body.should.equal('none');
+      headers.should.eql({
+        'Content-Type': 'text/plain',
+        'Grip-Hold': 'response',
+        'Grip-Channel': 'posts; prev-id=1'
+      });
+      response.headers.should.eql({'Content-Type': 'text/plain'});
+      done();
+    }), 'posts', '1', response);
+  });
+
+  after(function() {
+    proxy.close();
+    for (var name in savedConfig) {
+      config[name] = savedConfig[name];
+    }
+    loadPush();
+  });
+
+});
+
+describe('Null push backend', function() {
+
+  it('should send the response right away', function(done) {
+    var saved = config.pushBackend;
+    config.pushBackend = 'none';
+    var push = loadPush();
+    push.isEnabled().should.be.false;
+    push.sendHoldResponse(fakeResponse(function(body, headers) {
+      config.pushBackend = saved;
+      body.should.equal('none');
+      headers.should.eql({'Content-Type': 'text/plain'});
+      done();
+    }), 'posts', '1', {headers: {'Content-Type': 'text/plain'}, body: 'none'});
+  });
+
+});
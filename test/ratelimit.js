@@ -0,0 +1,162 @@
+/*
+ * Copyright 2012 Denis Washington <denisw@online.de>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// test/ratelimit.js:
+// Tests the token bucket rate limiting middleware.
+
+var should = require('should');
+var config = require('../src/util/config');
+var ratelimit = require('../src/util/ratelimit');
+
+// Returns a fake request from 'address', made with the session of 'jid'
+// if one is passed.
+function fakeRequest(address, jid) {
+  var req = {
+    connection: {remoteAddress: address},
+    headers: {},
+    header: function(name) {
+      return this.headers[name.toLowerCase()];
+    }
+  };
+  if (jid) {
+    req.session = {id: 'session-' + jid, jid: jid};
+  }
+  return req;
+}
+
+// Passes 'req' through 'middleware' and calls 'callback' with the status
+// code (or null if the request was let through) and response headers.
+function run(middleware, req, callback) {
+  var headers = {};
+  var res = {
+    header: function(name, value) {
+      headers[name] = value;
+    },
+    send: function(status) {
+      callback(status, headers);
+    }
+  };
+  middleware(req, res, function() {
+    callback(null, headers);
+  });
+}
+
+describe('Rate limiting', function() {
+
+  var savedLimits;
+
+  before(function() {
+    savedLimits = config.rateLimits;
+    config.rateLimits = {
+      reads: {requests: 2, period: 0.2},
+      sessions: {requests: 1, period: 60}
+    };
+  });
+
+  it('should let requests through until the bucket is empty',
+    function(done) {
+      var limit = ratelimit.limit('reads');
+      var req = fakeRequest('10.0.0.1');
+      run(limit, req, function(status, headers) {
+        should.not.exist(status);
+        headers['X-RateLimit-Limit'].should.equal('2');
+        headers['X-RateLimit-Remaining'].should.equal('1');
+        run(limit, req, function(status, headers) {
+          should.not.exist(status);
+          headers['X-RateLimit-Remaining'].should.equal('0');
+          run(limit, req, function(status, headers) {
+            status.should.equal(429);
+            headers['Retry-After'].should.equal('1');
+            done();
+          });
+        });
+      });
+    });
+
+  it('should refill buckets over time', function(done) {
+    var limit = ratelimit.limit('reads');
+    var req = fakeRequest('10.0.0.2');
+    run(limit, req, function() {
+      run(limit, req, function() {
+        setTimeout(function() {
+          run(limit, req, function(status) {
+            should.not.exist(status);
+            done();
+          });
+        }, 150);
+      });
+    });
+  });
+
+  it('should give each client its own bucket', function(done) {
+    var limit = ratelimit.limit('reads');
+    var alice = fakeRequest('10.0.0.3', 'alice@localhost/http');
+    var bob = fakeRequest('10.0.0.3', 'bob@localhost/http');
+    run(limit, alice, function() {
+      run(limit, alice, function() {
+        run(limit, alice, function(status) {
+          status.should.equal(429);
+          run(limit, bob, function(status) {
+            should.not.exist(status);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should not limit groups without a limit', function(done) {
+    var limit = ratelimit.limit('publishes');
+    var req = fakeRequest('10.0.0.4');
+    run(limit, req, function(status, headers) {
+      should.not.exist(status);
+      headers.should.eql({});
+      done();
+    });
+  });
+
+  it('should limit logins by address', function(done) {
+    var req = fakeRequest('10.0.0.5');
+    req.user = 'alice@localhost';
+    req.password = 'alice';
+    run(ratelimit.limitSessionCreation, req, function(status) {
+      should.not.exist(status);
+      run(ratelimit.limitSessionCreation, req, function(status) {
+        status.should.equal(429);
+        done();
+      });
+    });
+  });
+
+  it('should not limit requests resuming a session', function(done) {
+    var req = fakeRequest('10.0.0.6');
+    req.user = 'alice@localhost';
+    req.password = 'alice';
+    req.headers['x-session-id'] = 'abc123';
+    run(ratelimit.limitSessionCreation, req, function(status) {
+      should.not.exist(status);
+      run(ratelimit.limitSessionCreation, req, function(status) {
+        should.not.exist(status);
+        done();
+      });
+    });
+  });
+
+  after(function() {
+    config.rateLimits = savedLimits;
+  });
+
+});
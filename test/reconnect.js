@@ -0,0 +1,99 @@
+/*
+ * Copyright 2012 Denis Washington <denisw@online.de>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// test/reconnect.js:
+// Tests how requests are handled while lost XMPP connections are being
+// reestablished.
+
+var should = require('should');
+var tutil = require('./support/testutil');
+
+// See xmpp_mockserver.js
+var mockConfig = {
+  users: {},
+  stanzas: {
+    '<iq type="get">\
+       <query xmlns="http://jabber.org/protocol/disco#info" \
+              node="/user/public@localhost/posts"/>\
+     </iq>':
+    '<iq type="result">\
+       <query xmlns="http://jabber.org/protocol/disco#info" \
+              node="/user/public@localhost/posts">\
+         <identity category="pubsub" type="leaf"/>\
+         <x xmlns="jabber:x:data" type="result">\
+           <field var="FORM_TYPE" type="hidden">\
+             <value>http://jabber.org/protocol/pubsub#meta-data</value>\
+           </field>\
+           <field var="pubsub#title" type="text-single">\
+             <value>Public</value>\
+           </field>\
+         </x>\
+       </query>\
+     </iq>'
+  }
+};
+
+describe('Lost XMPP connection', function() {
+
+  // Anonymous sessions are used, as they don't expire
+  var options = {path: '/public@localhost/metadata/posts'};
+
+  before(function(done) {
+    tutil.startHttpServer(function() {
+      tutil.mockXmppServer(mockConfig, done);
+    });
+  });
+
+  function expectStatus(statusCode, retryAfter, callback) {
+    tutil.get(options, function(res) {
+      res.statusCode.should.equal(statusCode);
+      if (retryAfter) {
+        res.headers['retry-after'].should.equal(retryAfter);
+      } else {
+        should.not.exist(res.headers['retry-after']);
+      }
+      callback();
+    }).on('error', callback);
+  }
+
+  it('should be reestablished with increasing delays', function(done) {
+    this.timeout(10000);
+    expectStatus(200, null, function() {
+      tutil.setXmppServerOnline(false, function() {
+        setTimeout(function() {
+          // The first attempt is made after a second...
+          expectStatus(503, '1', function() {
+            setTimeout(function() {
+              // ...and the next one two seconds after it failed
+              expectStatus(503, '2', function() {
+                tutil.setXmppServerOnline(true, function() {
+                  setTimeout(function() {
+                    expectStatus(200, null, done);
+                  }, 2500);
+                });
+              });
+            }, 1300);
+          });
+        }, 100);
+      });
+    });
+  });
+
+  after(function() {
+    tutil.end();
+  });
+
+});
@@ -211,3 +211,342 @@ describe('Session ID', function() {
   });
 
 });
+
+describe('Bearer token', function() {
+
+  before(function(done) {
+    tutil.startHttpServer(function() {
+      tutil.mockXmppServer(mockConfig, done);
+    });
+  });
+
+  function login(callback) {
+    var options = {
+      path: '/session',
+      auth: 'alice@localhost/http:alice',
+      body: ''
+    };
+    tutil.post(options, function(res, body) {
+      res.statusCode.should.equal(200);
+      callback(JSON.parse(body.toString()));
+    });
+  }
+
+  it('should be issued for valid credentials', function(done) {
+    login(function(result) {
+      result.token_type.should.equal('Bearer');
+      should.exist(result.access_token);
+      result.expires_in.should.be.above(0);
+      done();
+    });
+  });
+
+  it('should not be issued for invalid credentials', function(done) {
+    var options = {
+      path: '/session',
+      auth: 'alice@localhost/http:bob',
+      body: ''
+    };
+    tutil.post(options, function(res) {
+      res.statusCode.should.equal(401);
+      done();
+    }).on('error', done);
+  });
+
+  it('should authenticate requests', function(done) {
+    login(function(result) {
+      var options = {
+        path: '/private@localhost/content/posts',
+        headers: {'Authorization': 'Bearer ' + result.access_token}
+      };
+      tutil.get(options, function(res) {
+        res.statusCode.should.equal(200);
+        done();
+      }).on('error', done);
+    });
+  });
+
+  it('should be rejected if invalid', function(done) {
+    var options = {
+      path: '/private@localhost/content/posts',
+      headers: {'Authorization': 'Bearer foo.bar.baz'}
+    };
+    tutil.get(options, function(res) {
+      res.statusCode.should.equal(401);
+      done();
+    }).on('error', done);
+  });
+
+  it('should be rejected after logout', function(done) {
+    login(function(result) {
+      var options = {
+        path: '/session',
+        headers: {'Authorization': 'Bearer ' + result.access_token}
+      };
+      tutil.del(options, function(res) {
+        res.statusCode.should.equal(200);
+        options.path = '/private@localhost/content/posts';
+        tutil.get(options, function(res2) {
+          res2.statusCode.should.equal(401);
+          done();
+        }).on('error', done);
+      }).on('error', done);
+    });
+  });
+
+  after(function() {
+    tutil.end();
+  });
+
+});
+
+describe('Session list', function() {
+
+  before(function(done) {
+    tutil.startHttpServer(function() {
+      tutil.mockXmppServer(mockConfig, done);
+    });
+  });
+
+  it('should contain the current session', function(done) {
+    var options = {
+      path: '/sessions',
+      auth: 'alice@localhost/http:alice',
+      headers: {'User-Agent': 'test'}
+    };
+    tutil.get(options, function(res, body) {
+      res.statusCode.should.equal(200);
+      var sessions = JSON.parse(body.toString());
+      var current = sessions.filter(function(s) { return s.current; });
+      current.length.should.equal(1);
+      current[0].id.should.equal(res.headers['x-session-id']);
+      current[0].userAgent.should.equal('test');
+      done();
+    }).on('error', done);
+  });
+
+  it('should not contain sessions of other users', function(done) {
+    var options = {
+      path: '/sessions',
+      auth: 'bob@localhost/http:bob'
+    };
+    tutil.get(options, function(res, body) {
+      var bobSessionId = res.headers['x-session-id'];
+      options.auth = 'alice@localhost/http:alice';
+      tutil.get(options, function(res2, body2) {
+        var sessions = JSON.parse(body2.toString());
+        sessions.forEach(function(s) {
+          s.id.should.not.equal(bobSessionId);
+        });
+        done();
+      }).on('error', done);
+    }).on('error', done);
+  });
+
+  it('should allow ending other sessions', function(done) {
+    var options = {
+      path: '/private@localhost/content/posts',
+      auth: 'alice@localhost/http:alice'
+    };
+    tutil.get(options, function(res) {
+      var sessionId = res.headers['x-session-id'];
+      var delOptions = {
+        path: '/sessions/' + sessionId,
+        auth: 'alice@localhost/http:alice'
+      };
+      tutil.del(delOptions, function(res2) {
+        res2.statusCode.should.equal(200);
+        delete options.auth;
+        options.headers = {'x-session-id': sessionId};
+        tutil.get(options, function(res3) {
+          res3.statusCode.should.equal(401);
+          done();
+        }).on('error', done);
+      }).on('error', done);
+    }).on('error', done);
+  });
+
+  it('should be available with just a session ID', function(done) {
+    var options = {
+      path: '/sessions',
+      auth: 'alice@localhost/http:alice'
+    };
+    tutil.get(options, function(res) {
+      delete options.auth;
+      options.headers = {'x-session-id': res.headers['x-session-id']};
+      tutil.get(options, function(res2, body2) {
+        res2.statusCode.should.equal(200);
+        var sessions = JSON.parse(body2.toString());
+        sessions.filter(function(s) { return s.current; }).length.
+          should.equal(1);
+        done();
+      }).on('error', done);
+    }).on('error', done);
+  });
+
+  it('should record the last use only now and then', function(done) {
+    var saveInterval = config.sessionExpirationTime * 1000 / 10;
+    var options = {
+      path: '/sessions',
+      auth: 'alice@localhost/http:alice'
+    };
+
+    function getLastUsed(callback) {
+      tutil.get(options, function(res, body) {
+        res.statusCode.should.equal(200);
+        options.headers = {'x-session-id': res.headers['x-session-id']};
+        delete options.auth;
+        var sessions = JSON.parse(body.toString());
+        callback(sessions.filter(function(s) { return s.current; })[0].
+          lastUsed);
+      }).on('error', done);
+    }
+
+    getLastUsed(function(lastUsed) {
+      getLastUsed(function(lastUsed2) {
+        lastUsed2.should.equal(lastUsed);
+        setTimeout(function() {
+          getLastUsed(function(lastUsed3) {
+            lastUsed3.should.be.above(lastUsed);
+            done();
+          });
+        }, saveInterval + 100);
+      });
+    });
+  });
+
+  it('should be 401 if the credentials name another user', function(done) {
+    var options = {
+      path: '/sessions',
+      auth: 'bob@localhost/http:bob'
+    };
+    tutil.get(options, function(res) {
+      options.auth = 'alice@localhost/http:wrong';
+      options.headers = {'x-session-id': res.headers['x-session-id']};
+      tutil.get(options, function(res2) {
+        res2.statusCode.should.equal(401);
+        done();
+      }).on('error', done);
+    }).on('error', done);
+  });
+
+  it('should be 404 for sessions of other users', function(done) {
+    var options = {
+      path: '/public@localhost/content/posts',
+      auth: 'bob@localhost/http:bob'
+    };
+    tutil.get(options, function(res) {
+      var delOptions = {
+        path: '/sessions/' + res.headers['x-session-id'],
+        auth: 'alice@localhost/http:alice'
+      };
+      tutil.del(delOptions, function(res2) {
+        res2.statusCode.should.equal(404);
+        done();
+      }).on('error', done);
+    }).on('error', done);
+  });
+
+  after(function() {
+    tutil.end();
+  });
+
+});
+
+describe('Session cookie', function() {
+
+  before(function(done) {
+    tutil.startHttpServer(function() {
+      tutil.mockXmppServer(mockConfig, done);
+    }, 'cookieTesting');
+  });
+
+  function login(callback) {
+    var options = {
+      path: '/private@localhost/content/posts',
+      auth: 'alice@localhost/http:alice'
+    };
+    tutil.get(options, function(res) {
+      res.statusCode.should.equal(200);
+      var cookies = {};
+      res.headers['set-cookie'].forEach(function(cookie) {
+        var pair = cookie.split(';')[0].split('=');
+        cookies[pair[0]] = pair[1];
+      });
+      callback(res, cookies);
+    });
+  }
+
+  function cookieHeader(cookies) {
+    return Object.keys(cookies).map(function(name) {
+      return name + '=' + cookies[name];
+    }).join('; ');
+  }
+
+  it('should be issued on authenticated requests', function(done) {
+    login(function(res, cookies) {
+      cookies['session_id'].should.equal(res.headers['x-session-id']);
+      cookies['csrf_token'].should.equal(res.headers['x-csrf-token']);
+      res.headers['set-cookie'].forEach(function(cookie) {
+        cookie.should.include('Secure');
+        if (cookie.indexOf('session_id=') == 0) {
+          cookie.should.include('HttpOnly');
+        }
+      });
+      done();
+    });
+  });
+
+  it('should authenticate requests', function(done) {
+    login(function(res, cookies) {
+      var options = {
+        path: '/private@localhost/content/posts',
+        headers: {'Cookie': cookieHeader(cookies)}
+      };
+      tutil.get(options, function(res2) {
+        res2.statusCode.should.equal(200);
+        res2.headers['x-session-id'].should.equal(cookies['session_id']);
+        done();
+      }).on('error', done);
+    });
+  });
+
+  it('should require a CSRF token for unsafe requests', function(done) {
+    login(function(res, cookies) {
+      var options = {
+        path: '/session',
+        headers: {'Cookie': cookieHeader(cookies)}
+      };
+      tutil.del(options, function(res2) {
+        res2.statusCode.should.equal(403);
+        options.headers['X-CSRF-Token'] = 'foo';
+        tutil.del(options, function(res3) {
+          res3.statusCode.should.equal(403);
+          done();
+        }).on('error', done);
+      }).on('error', done);
+    });
+  });
+
+  it('should be cleared on logout', function(done) {
+    login(function(res, cookies) {
+      var options = {
+        path: '/session',
+        headers: {
+          'Cookie': cookieHeader(cookies),
+          'X-CSRF-Token': cookies['csrf_token']
+        }
+      };
+      tutil.del(options, function(res2) {
+        res2.statusCode.should.equal(200);
+        res2.headers['set-cookie'].join().should.include('session_id=;');
+        done();
+      }).on('error', done);
+    });
+  });
+
+  after(function() {
+    tutil.end();
+  });
+
+});
@@ -0,0 +1,192 @@
+/*
+ * Copyright 2012 Denis Washington <denisw@online.de>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// test/sessionstore.js:
+// Tests the session record stores.
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var should = require('should');
+var config = require('../src/util/config');
+var sessionstore = require('../src/util/sessionstore');
+
+var record = {
+  id: 'abc123',
+  user: 'alice@localhost/http',
+  password: 'alice',
+  subscriptions: ['/user/alice@localhost/posts']
+};
+
+describe('Memory session store', function() {
+
+  var store;
+
+  before(function() {
+    store = sessionstore.createStore('test');
+  });
+
+  it('should load saved records', function(done) {
+    store.save(record, function(err) {
+      should.not.exist(err);
+      store.load(record.id, function(err, loaded) {
+        should.not.exist(err);
+        loaded.should.eql(record);
+        loaded.should.not.equal(record);
+        done();
+      });
+    });
+  });
+
+  it('should return null for unknown records', function(done) {
+    store.load('def456', function(err, loaded) {
+      should.not.exist(err);
+      should.not.exist(loaded);
+      done();
+    });
+  });
+
+  it('should list and remove records', function(done) {
+    store.save(record, function() {
+      store.list(function(err, records) {
+        should.not.exist(err);
+        records.should.eql([record]);
+        store.remove(record.id, function(err) {
+          should.not.exist(err);
+          store.list(function(err, records2) {
+            records2.should.eql([]);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+});
+
+describe('File session store', function() {
+
+  var dir = path.join(os.tmpdir(), 'sessionstore-test-' + process.pid);
+  var storeDir = path.join(dir, 'test');
+  var savedConfig = {};
+  var store;
+
+  before(function() {
+    ['sessionStore', 'sessionStoreDir', 'sessionStoreSecret'].forEach(
+      function(name) {
+        savedConfig[name] = config[name];
+      });
+    fs.mkdirSync(dir);
+    config.sessionStore = 'file';
+    config.sessionStoreDir = dir;
+    config.sessionStoreSecret = 'secret';
+    store = sessionstore.createStore('test');
+  });
+
+  it('should load saved records', function(done) {
+    store.save(record, function(err) {
+      should.not.exist(err);
+      store.load(record.id, function(err, loaded) {
+        should.not.exist(err);
+        loaded.should.eql(record);
+        done();
+      });
+    });
+  });
+
+  it('should encrypt passwords', function(done) {
+    store.save(record, function() {
+      var data = fs.readFileSync(path.join(storeDir, record.id + '.json'),
+                                 'utf8');
+      JSON.parse(data).password.should.not.equal(record.password);
+      done();
+    });
+  });
+
+  it('should encrypt secrets', function(done) {
+    var hookRecord = {id: 'def456', url: 'http://localhost/', secret: 's3cr3t'};
+    store.save(hookRecord, function() {
+      var data = fs.readFileSync(path.join(storeDir, hookRecord.id + '.json'),
+                                 'utf8');
+      JSON.parse(data).secret.should.not.equal(hookRecord.secret);
+      store.load(hookRecord.id, function(err, loaded) {
+        should.not.exist(err);
+        loaded.should.eql(hookRecord);
+        store.remove(hookRecord.id, done);
+      });
+    });
+  });
+
+  it('should share records between instances', function(done) {
+    var otherStore = sessionstore.createStore('test');
+    store.save(record, function() {
+      otherStore.load(record.id, function(err, loaded) {
+        should.not.exist(err);
+        loaded.should.eql(record);
+        done();
+      });
+    });
+  });
+
+  it('should return null for invalid IDs', function(done) {
+    store.load('../secret', function(err, loaded) {
+      should.not.exist(err);
+      should.not.exist(loaded);
+      done();
+    });
+  });
+
+  it('should refuse to save records with invalid IDs', function(done) {
+    store.save({id: '../secret'}, function(err) {
+      should.exist(err);
+      [storeDir, dir, '.'].forEach(function(parent) {
+        fs.readdirSync(parent).forEach(function(file) {
+          file.should.not.match(/secret|\.tmp$/);
+        });
+      });
+      done();
+    });
+  });
+
+  it('should list and remove records', function(done) {
+    fs.writeFileSync(path.join(storeDir, 'README'), 'not a record');
+    store.save(record, function() {
+      store.list(function(err, records) {
+        should.not.exist(err);
+        records.should.eql([record]);
+        store.remove(record.id, function(err) {
+          should.not.exist(err);
+          store.list(function(err, records2) {
+            records2.should.eql([]);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  after(function() {
+    fs.readdirSync(storeDir).forEach(function(file) {
+      fs.unlinkSync(path.join(storeDir, file));
+    });
+    fs.rmdirSync(storeDir);
+    fs.rmdirSync(dir);
+    for (var name in savedConfig) {
+      config[name] = savedConfig[name];
+    }
+  });
+
+});
@@ -0,0 +1,258 @@
+/*
+ * Copyright 2012 Denis Washington <denisw@online.de>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// test/stream.js:
+// Tests the Server-Sent Events stream of node updates.
+
+var http = require('http');
+var should = require('should');
+var config = require('../src/util/config');
+var tutil = require('./support/testutil');
+
+// See xmpp_mockserver.js
+var mockConfig = {
+  users: {
+    'alice': 'alice'
+  },
+  stanzas: {
+    // Temporary subscription
+    '<iq from="alice@localhost/http" type="set">\
+       <pubsub xmlns="http://jabber.org/protocol/pubsub">\
+         <subscribe node="/user/alice@localhost/posts"\
+                    jid="alice@localhost/http"/>\
+         <options>\
+           <x xmlns="jabber:x:data" type="submit">\
+             <field var="FORM_TYPE" type="hidden">\
+               <value>http://jabber.org/protocol/pubsub#node_config</value>\
+             </field>\
+             <field var="pubsub#expire" type="text-single">\
+               <value>presence</value>\
+             </field>\
+           </x>\
+         </options>\
+       </pubsub>\
+     </iq>':
+    '<iq type="result"/>'
+  }
+};
+
+// Returns the notification of a new post with the passed ID and
+// publication time.
+function itemNotification(id, time) {
+  return '<message from="localhost">\
+            <event xmlns="http://jabber.org/protocol/pubsub#event">\
+              <items node="/user/alice@localhost/posts">\
+                <item id="' + id + '">\
+                  <entry xmlns="http://www.w3.org/2005/Atom">\
+                    <id>' + id + '</id>\
+                    <title>Post ' + id + '</title>\
+                    <author><name>alice@localhost</name></author>\
+                    <content>Post ' + id + '</content>\
+                    <published>' + time + '</published>\
+                    <updated>' + time + '</updated>\
+                  </entry>\
+                </item>\
+              </items>\
+            </event>\
+          </message>';
+}
+
+var time1 = '2012-10-16T12:00:00Z';
+var time2 = '2012-10-16T12:01:00Z';
+var eventId1 = '1_' + Date.parse(time1);
+var eventId2 = '2_' + Date.parse(time2);
+
+describe('Node stream', function() {
+
+  before(function(done) {
+    tutil.startHttpServer(function() {
+      tutil.mockXmppServer(mockConfig, done);
+    });
+  });
+
+  // Opens the stream and calls 'onopen' with the response, then 'onevent'
+  // with each received event (an object with 'id' and 'data').
+  function openStream(options, onopen, onevent) {
+    options.host = 'localhost';
+    options.port = config.port;
+    options.path = options.path || '/alice@localhost/stream/posts';
+    var req = http.get(options, function(res) {
+      var buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', function(data) {
+        buffer += data;
+        var blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+        blocks.forEach(function(block) {
+          var event = parseEvent(block);
+          if (event) {
+            onevent(event);
+          }
+        });
+      });
+      onopen(res);
+    });
+    return req;
+  }
+
+  // Returns null for blocks containing only comments (heartbeats).
+  function parseEvent(block) {
+    var event = {id: null, data: []};
+    block.split('\n').forEach(function(line) {
+      var match = /^(id|data): (.*)$/.exec(line);
+      if (match && match[1] == 'id') {
+        event.id = match[2];
+      } else if (match) {
+        event.data.push(match[2]);
+      }
+    });
+    if (event.data.length == 0) {
+      return null;
+    }
+    event.data = event.data.join('\n');
+    return event;
+  }
+
+  it('should send published items as events', function(done) {
+    var req = openStream({auth: 'alice@localhost/http:alice'},
+      function(res) {
+        res.statusCode.should.equal(200);
+        res.headers['content-type'].should.equal('text/event-stream');
+        res.headers['cache-control'].should.equal('no-cache');
+        tutil.notifyXmppClients(itemNotification('1', time1));
+      },
+      function(event) {
+        event.id.should.equal(eventId1);
+        event.data.should.include('<id>1</id>');
+        event.data.should.include('<content>Post 1</content>');
+        req.abort();
+        done();
+      });
+  });
+
+  it('should send JSON events if requested', function(done) {
+    var options = {
+      path: '/alice@localhost/stream/posts?format=json',
+      auth: 'alice@localhost/http:alice'
+    };
+    var req = openStream(options,
+      function(res) {
+        res.statusCode.should.equal(200);
+        tutil.notifyXmppClients(itemNotification('1', time1));
+      },
+      function(event) {
+        event.id.should.equal(eventId1);
+        var item = JSON.parse(event.data);
+        item.id.should.equal('1');
+        item.content.should.equal('Post 1');
+        req.abort();
+        done();
+      });
+  });
+
+  it('should resend items missed after the Last-Event-ID', function(done) {
+    var sessionId;
+    var received = 0;
+    var req = openStream({auth: 'alice@localhost/http:alice'},
+      function(res) {
+        sessionId = res.headers['x-session-id'];
+        should.exist(sessionId);
+        tutil.notifyXmppClients(itemNotification('1', time1), function() {
+          tutil.notifyXmppClients(itemNotification('2', time2));
+        });
+      },
+      function(event) {
+        if (++received < 2) {
+          return;
+        }
+        req.abort();
+
+        var options = {
+          headers: {
+            'X-Session-Id': sessionId,
+            'Last-Event-ID': eventId1
+          }
+        };
+        var req2 = openStream(options,
+          function(res) {
+            res.statusCode.should.equal(200);
+          },
+          function(event) {
+            event.id.should.equal(eventId2);
+            event.data.should.include('<id>2</id>');
+            req2.abort();
+            done();
+          });
+      });
+  });
+
+  it('should keep the session from expiring', function(done) {
+    var expirationTime = config.sessionExpirationTime * 1000;
+    this.timeout(expirationTime + 2000);
+    var req = openStream({auth: 'alice@localhost/http:alice'},
+      function(res) {
+        var sessionId = res.headers['x-session-id'];
+        setTimeout(function() {
+          var options = {
+            path: '/sessions',
+            headers: {'X-Session-Id': sessionId}
+          };
+          tutil.get(options, function(res, body) {
+            res.statusCode.should.equal(200);
+            var sessions = JSON.parse(body.toString());
+            sessions.map(function(s) { return s.id; }).
+              should.include(sessionId);
+            req.abort();
+            done();
+          }).on('error', done);
+        }, expirationTime + 500);
+      },
+      function(event) {});
+  });
+
+  it('should release the session when closed', function(done) {
+    var expirationTime = config.sessionExpirationTime * 1000;
+    this.timeout(3 * expirationTime + 2000);
+
+    // Wait for the sessions of the earlier tests to end first
+    setTimeout(function() {
+      tutil.countXmppClients(function(countBefore) {
+        var req = openStream({auth: 'alice@localhost/http:alice'},
+          function(res) {
+            // Let the session expire while it is still streamed to
+            setTimeout(function() {
+              tutil.notifyXmppClients(itemNotification('1', time1));
+            }, expirationTime + 500);
+          },
+          function(event) {
+            event.id.should.equal(eventId1);
+            req.abort();
+            setTimeout(function() {
+              tutil.countXmppClients(function(count) {
+                count.should.equal(countBefore);
+                done();
+              });
+            }, 200);
+          });
+      });
+    }, expirationTime + 500);
+  });
+
+  after(function() {
+    tutil.end();
+  });
+
+});
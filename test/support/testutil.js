@@ -27,10 +27,19 @@ var httpserver;
 var mockserver;
 
 /**
- * Starts the HTTP API server and calls 'callback' when it is ready.
+ * Starts the HTTP API server and calls 'callback' when it is ready. If
+ * 'profile' is passed, the server uses that configuration profile instead
+ * of the one of the tests.
  */
-exports.startHttpServer = function(callback) {
-  httpserver = spawn(process.execPath, ['server.js']);
+exports.startHttpServer = function(callback, profile) {
+  var env = {};
+  for (var name in process.env) {
+    env[name] = process.env[name];
+  }
+  if (profile) {
+    env.NODE_ENV = profile;
+  }
+  httpserver = spawn(process.execPath, ['server.js'], {env: env});
 
   // Wait until server is ready (and begins printing to stdout)
   httpserver.stdout.on('data', function() {
@@ -46,6 +55,17 @@ exports.startHttpServer = function(callback) {
   });
 };
 
+/**
+ * Restarts the HTTP API server (see startHttpServer()), e.g. to test what
+ * is restored after a restart.
+ */
+exports.restartHttpServer = function(callback, profile) {
+  httpserver.once('exit', function() {
+    exports.startHttpServer(callback, profile);
+  });
+  httpserver.kill();
+};
+
 /**
  * Starts the XMPP mock server with the passed configuration and calls
  * 'callback' when it is ready. See xmpp_mockserver.js for the config
@@ -57,11 +77,50 @@ exports.mockXmppServer = function(serverConfig, callback) {
   mockserver.send(serverConfig);
 
   // Wait until the mock server says it's ready
-  mockserver.on('message', function() {
+  mockserver.once('message', function() {
     callback();
   });
 }
 
+/**
+ * Makes the XMPP mock server send 'stanza' (e.g. a Pub-Sub event
+ * notification) to every logged in client and calls 'callback' (if
+ * passed) once it has been sent.
+ */
+exports.notifyXmppClients = function(stanza, callback) {
+  mockserver.send({notify: stanza});
+  mockserver.once('message', function() {
+    if (callback) {
+      callback();
+    }
+  });
+};
+
+/**
+ * Makes the XMPP mock server drop all connections and refuse new ones
+ * (if 'online' is false) or accept connections again (if it is true),
+ * then calls 'callback' (if passed).
+ */
+exports.setXmppServerOnline = function(online, callback) {
+  mockserver.send({online: online});
+  mockserver.once('message', function() {
+    if (callback) {
+      callback();
+    }
+  });
+};
+
+/**
+ * Calls 'callback' with the number of clients logged into the XMPP mock
+ * server.
+ */
+exports.countXmppClients = function(callback) {
+  mockserver.send({countClients: true});
+  mockserver.once('message', function(count) {
+    callback(count);
+  });
+};
+
 /**
  * Like http.get(), but with the target host and port automatically filled
  * in from the server configuration.
@@ -123,6 +182,42 @@ exports.post = function(options, callback) {
   return req;
 };
 
+/**
+ * Like post(), but using the PUT method.
+ */
+exports.put = function(options, callback) {
+  options.method = 'PUT';
+  options.host = 'localhost';
+  options.port = config.port;
+
+  var req = http.request(options, function(response) {
+    readBody(response, function(body) {
+      callback(response, body);
+    });
+  });
+  req.write(options.body);
+  req.end();
+  return req;
+};
+
+/**
+ * Like http.request() with method DELETE, but with the target host and port
+ * automatically filled in from the server configuration.
+ */
+exports.del = function(options, callback) {
+  options.method = 'DELETE';
+  options.host = 'localhost';
+  options.port = config.port;
+
+  var req = http.request(options, function(response) {
+    readBody(response, function(body) {
+      callback(response, body);
+    });
+  });
+  req.end();
+  return req;
+};
+
 /**
  * Stops all started serves.
  */
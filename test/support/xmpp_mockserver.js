@@ -37,7 +37,34 @@
 // }
 //
 // 'users' defines the username/password combinations accepted by the
-// server. 'stanzas' specifies how each request is replied to.
+// server. 'stanzas' specifies how each request is replied to. A text
+// node or attribute value consisting only of "*" in a request pattern
+// matches any text (useful for e.g. timestamps and generated JIDs).
+// In-Band Registration queries are looked up in the same table, even
+// before the client has authenticated.
+//
+// Once configured, the mock server also accepts messages of the form
+//
+// {
+//     notify: '<message>...</message>'
+// }
+//
+// which make it send the passed stanza (like a Pub-Sub event) to every
+// logged in client, and of the form
+//
+// {
+//     online: false
+// }
+//
+// which make it drop all client connections and refuse new ones until
+// it receives the same message with 'online' set to true. It replies to
+// every message when it's done, and to messages of the form
+//
+// {
+//     countClients: true
+// }
+//
+// with the number of logged in clients.
 
 var ltx = require('ltx');
 var xmpp = require('node-xmpp');
@@ -45,9 +72,28 @@ var config = require('../../src/util/config');
 
 var stanzasNS = 'urn:ietf:params:xml:ns:xmpp-stanzas';
 var mockConfig;
+var clients = [];
+var online = true;
 
 function setup() {
   process.on('message', function(message) {
+    if (message.notify) {
+      notifyClients(message.notify);
+      process.send(true);
+      return;
+    }
+    if (message.countClients) {
+      process.send(clients.filter(function(client) {
+        return client.jid;
+      }).length);
+      return;
+    }
+    if (message.online !== undefined) {
+      setOnline(message.online);
+      process.send(true);
+      return;
+    }
+
     mockConfig = {};
     mockConfig.users = message.users;
 
@@ -97,12 +143,26 @@ function start() {
     port: config.xmppPort
   });
   server.on('connect', function(client) {
+    if (!online) {
+      client.socket.destroy();
+      return;
+    }
+    clients.push(client);
+    client.on('close', function() {
+      if (clients.indexOf(client) >= 0) {
+        clients.splice(clients.indexOf(client), 1);
+      }
+    });
     client.on('authenticate', function(options, callback) {
       checkAuth(options.user, options.password, callback);
     });
     client.on('stanza', function(stanza) {
       handleStanza(client, stanza);
     });
+    // node-xmpp would answer these itself, without error conditions
+    client.onRegistration = function(stanza) {
+      handleStanza(client, stanza);
+    };
   });
 }
 
@@ -141,6 +201,25 @@ function handleStanza(client, stanza) {
   client.send(reply);
 }
 
+function notifyClients(stanza) {
+  clients.forEach(function(client) {
+    if (client.jid) {
+      var notification = ltx.parse(removeInsignificantWhitespace(stanza));
+      notification.attrs.to = client.jid.toString();
+      client.send(notification);
+    }
+  });
+}
+
+function setOnline(value) {
+  online = value;
+  if (!online) {
+    clients.slice().forEach(function(client) {
+      client.socket.destroy();
+    });
+  }
+}
+
 function replyServiceUnavailable(client, id) {
   client.send(new xmpp.Iq({id: id, type: 'error'}).
               c('error', {type: '503'}).
@@ -164,14 +243,17 @@ function findMatchingRule(stanza) {
 
 function elementMatches(expected, actual) {
   if (typeof expected == 'string') {
-    return typeof actual == 'string' && expected == actual;
+    return typeof actual == 'string' && (expected == '*' || expected == actual);
   }
   if (!actual.is(expected.getName(), expected.getNS())) {
     return false;
   }
 
   for (var key in expected.attrs) {
-    if (expected.attrs[key]) {
+    if (expected.attrs[key] == '*') {
+      if (actual.attrs[key] === undefined)
+        return false;
+    } else if (expected.attrs[key]) {
       if (expected.attrs[key] != actual.attrs[key])
         return false;
     } else if (actual.attrs[key]) {
@@ -0,0 +1,325 @@
+/*
+ * Copyright 2012 Denis Washington <denisw@online.de>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// test/webhooks.js:
+// Tests webhook management requests and the delivery of webhooks.
+
+var crypto = require('crypto');
+var fs = require('fs');
+var http = require('http');
+var path = require('path');
+var url = require('url');
+var should = require('should');
+var config = require('../src/util/config');
+var tutil = require('./support/testutil');
+
+// See xmpp_mockserver.js
+var mockConfig = {
+  users: {
+    'alice': 'alice'
+  },
+  stanzas: {
+    // Temporary subscription
+    '<iq from="alice@localhost/http" type="set">\
+       <pubsub xmlns="http://jabber.org/protocol/pubsub">\
+         <subscribe node="/user/alice@localhost/posts"\
+                    jid="alice@localhost/http"/>\
+         <options>\
+           <x xmlns="jabber:x:data" type="submit">\
+             <field var="FORM_TYPE" type="hidden">\
+               <value>http://jabber.org/protocol/pubsub#node_config</value>\
+             </field>\
+             <field var="pubsub#expire" type="text-single">\
+               <value>presence</value>\
+             </field>\
+           </x>\
+         </options>\
+       </pubsub>\
+     </iq>':
+    '<iq type="result"/>'
+  }
+};
+
+var itemNotification =
+  '<message from="localhost">\
+     <event xmlns="http://jabber.org/protocol/pubsub#event">\
+       <items node="/user/alice@localhost/posts">\
+         <item id="1">\
+           <entry xmlns="http://www.w3.org/2005/Atom">\
+             <id>1</id>\
+             <author><name>alice@localhost</name></author>\
+             <content>Hello</content>\
+             <updated>2012-10-16T12:00:00Z</updated>\
+           </entry>\
+         </item>\
+       </items>\
+     </event>\
+   </message>';
+
+// Starts a server receiving webhook deliveries and calls 'callback' with
+// its URL. Requests are passed to the handlers in 'handlers' (which maps
+// paths to functions taking the request, its body and the response), and
+// answered with "200 OK" if there is none.
+function startCallbackServer(handlers, callback) {
+  var server = http.createServer(function(req, res) {
+    var body = '';
+    req.setEncoding('utf8');
+    req.on('data', function(data) {
+      body += data;
+    });
+    req.on('end', function() {
+      var handler = handlers[url.parse(req.url).pathname];
+      if (handler) {
+        handler(req, body, res);
+      } else {
+        res.end();
+      }
+    });
+  });
+  server.listen(0, 'localhost', function() {
+    callback('http://localhost:' + server.address().port);
+  });
+  return server;
+}
+
+// Registers a webhook for alice's posts node which delivers to
+// 'callbackUrl' and calls 'callback' with it.
+function addWebhook(callbackUrl, callback) {
+  var options = {
+    path: '/alice@localhost/webhooks/posts',
+    auth: 'alice@localhost/http:alice',
+    headers: {'Content-Type': 'application/json'},
+    body: JSON.stringify({
+      url: callbackUrl,
+      secret: 's3cr3t',
+      format: 'json'
+    })
+  };
+  tutil.post(options, function(res, body) {
+    res.statusCode.should.equal(201);
+    callback(JSON.parse(body));
+  });
+}
+
+// Checks that a delivery of the published item is signed with the secret
+// passed to addWebhook().
+function checkDelivery(req, body) {
+  req.method.should.equal('POST');
+  req.headers['content-type'].should.equal('application/json');
+  var hmac = crypto.createHmac('sha256', 's3cr3t');
+  req.headers['x-hub-signature'].should.equal(
+    'sha256=' + hmac.update(body).digest('hex'));
+  JSON.parse(body).id.should.equal('1');
+}
+
+describe('Webhooks', function() {
+
+  var callbackServer;
+  var callbackUrl;
+  var handlers = {};
+
+  before(function(done) {
+    callbackServer = startCallbackServer(handlers, function(serverUrl) {
+      callbackUrl = serverUrl;
+      tutil.startHttpServer(function() {
+        tutil.mockXmppServer(mockConfig, done);
+      });
+    });
+  });
+
+  it('should be registered, listed and removed', function(done) {
+    var options = {
+      path: '/alice@localhost/webhooks/posts',
+      auth: 'alice@localhost/http:alice',
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify({
+        url: 'http://localhost:9999/hook',
+        secret: 's3cr3t',
+        format: 'json'
+      })
+    };
+    tutil.post(options, function(res, body) {
+      res.statusCode.should.equal(201);
+      var hook = JSON.parse(body);
+      hook.url.should.equal('http://localhost:9999/hook');
+      hook.format.should.equal('json');
+      should.not.exist(hook.secret);
+      res.headers['location'].should.equal(
+        '/alice@localhost/webhooks/posts/' + hook.id);
+
+      var options2 = {
+        path: '/alice@localhost/webhooks/posts',
+        auth: 'alice@localhost/http:alice'
+      };
+      tutil.get(options2, function(res2, body2) {
+        res2.statusCode.should.equal(200);
+        JSON.parse(body2).should.eql([hook]);
+
+        var options3 = {
+          path: res.headers['location'],
+          auth: 'alice@localhost/http:alice'
+        };
+        tutil.del(options3, function(res3) {
+          res3.statusCode.should.equal(200);
+          tutil.get(options2, function(res4, body4) {
+            JSON.parse(body4).should.eql([]);
+            done();
+          }).on('error', done);
+        }).on('error', done);
+      }).on('error', done);
+    }).on('error', done);
+  });
+
+  it('should be 400 if the callback URL is invalid', function(done) {
+    var options = {
+      path: '/alice@localhost/webhooks/posts',
+      auth: 'alice@localhost/http:alice',
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify({url: 'ftp://localhost/hook'})
+    };
+    tutil.post(options, function(res) {
+      res.statusCode.should.equal(400);
+      done();
+    }).on('error', done);
+  });
+
+  it('should be 400 without a secret', function(done) {
+    var options = {
+      path: '/alice@localhost/webhooks/posts',
+      auth: 'alice@localhost/http:alice',
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify({url: 'http://localhost:9999/hook', secret: 42})
+    };
+    tutil.post(options, function(res) {
+      res.statusCode.should.equal(400);
+      done();
+    }).on('error', done);
+  });
+
+  it('should be 401 if not authenticated', function(done) {
+    var options = {
+      path: '/alice@localhost/webhooks/posts'
+    };
+    tutil.get(options, function(res) {
+      res.statusCode.should.equal(401);
+      done();
+    }).on('error', done);
+  });
+
+  it('should deliver published items signed with the secret',
+    function(done) {
+      handlers['/delivered'] = function(req, body, res) {
+        delete handlers['/delivered'];
+        res.end();
+        checkDelivery(req, body);
+        done();
+      };
+      addWebhook(callbackUrl + '/delivered', function() {
+        tutil.notifyXmppClients(itemNotification);
+      });
+    });
+
+  it('should retry failed deliveries with increasing delays',
+    function(done) {
+      var retryDelay = config.webhookRetryDelay * 1000;
+      this.timeout(70 * retryDelay + 2000);
+
+      var attempts = [];
+      handlers['/failing'] = function(req, body, res) {
+        checkDelivery(req, body);
+        attempts.push(Date.now());
+        res.statusCode = 500;
+        res.end();
+      };
+      addWebhook(callbackUrl + '/failing', function() {
+        tutil.notifyXmppClients(itemNotification);
+      });
+
+      // The sixth attempt is made 31 retry delays after the first one,
+      // and a seventh one would follow 32 retry delays later
+      setTimeout(function() {
+        delete handlers['/failing'];
+        attempts.length.should.equal(6);
+        for (var i = 1; i < attempts.length; i++) {
+          var delay = retryDelay * Math.pow(2, i - 1);
+          (attempts[i] - attempts[i - 1]).should.not.be.below(delay - 10);
+        }
+        done();
+      }, 66 * retryDelay);
+    });
+
+  after(function() {
+    tutil.end();
+    callbackServer.close();
+  });
+
+});
+
+describe('Webhooks after a restart', function() {
+
+  // The session store directory of the "fileStoreTesting" profile (see
+  // config.js.example)
+  var storeDir = '/tmp/buddycloud-http-api-test';
+  var callbackServer;
+  var callbackUrl;
+  var handlers = {};
+
+  before(function(done) {
+    fs.mkdirSync(storeDir);
+    callbackServer = startCallbackServer(handlers, function(serverUrl) {
+      callbackUrl = serverUrl;
+      tutil.startHttpServer(function() {
+        tutil.mockXmppServer(mockConfig, done);
+      }, 'fileStoreTesting');
+    });
+  });
+
+  it('should be restored from the store', function(done) {
+    handlers['/restored'] = function(req, body, res) {
+      delete handlers['/restored'];
+      res.end();
+      checkDelivery(req, body);
+      done();
+    };
+    addWebhook(callbackUrl + '/restored', function() {
+      tutil.restartHttpServer(function() {
+        // Give the server time to log in and subscribe again
+        setTimeout(function() {
+          tutil.notifyXmppClients(itemNotification);
+        }, 500);
+      }, 'fileStoreTesting');
+    });
+  });
+
+  after(function() {
+    tutil.end();
+    callbackServer.close();
+    removeDir(storeDir);
+  });
+
+  function removeDir(dir) {
+    fs.readdirSync(dir).forEach(function(file) {
+      var filePath = path.join(dir, file);
+      if (fs.statSync(filePath).isDirectory()) {
+        removeDir(filePath);
+      } else {
+        fs.unlinkSync(filePath);
+      }
+    });
+    fs.rmdirSync(dir);
+  }
+
+});
@@ -0,0 +1,196 @@
+/*
+ * Copyright 2012 Denis Washington <denisw@online.de>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// test/websocket.js:
+// Tests the WebSocket endpoint for real-time updates.
+
+var should = require('should');
+var WebSocket = require('ws');
+var config = require('../src/util/config');
+var tutil = require('./support/testutil');
+
+// See xmpp_mockserver.js
+var mockConfig = {
+  users: {
+    'alice': 'alice'
+  },
+  stanzas: {
+    // Temporary subscription
+    '<iq from="alice@localhost/http" type="set">\
+       <pubsub xmlns="http://jabber.org/protocol/pubsub">\
+         <subscribe node="/user/alice@localhost/posts"\
+                    jid="alice@localhost/http"/>\
+         <options>\
+           <x xmlns="jabber:x:data" type="submit">\
+             <field var="FORM_TYPE" type="hidden">\
+               <value>http://jabber.org/protocol/pubsub#node_config</value>\
+             </field>\
+             <field var="pubsub#expire" type="text-single">\
+               <value>presence</value>\
+             </field>\
+           </x>\
+         </options>\
+       </pubsub>\
+     </iq>':
+    '<iq type="result"/>'
+  }
+};
+
+var itemNotification =
+  '<message from="localhost">\
+     <event xmlns="http://jabber.org/protocol/pubsub#event">\
+       <items node="/user/alice@localhost/posts">\
+         <item id="1">\
+           <entry xmlns="http://www.w3.org/2005/Atom">\
+             <id>1</id>\
+             <title>Hello</title>\
+             <author><name>alice@localhost</name></author>\
+             <content>Hello</content>\
+             <published>2012-10-16T12:00:00Z</published>\
+             <updated>2012-10-16T12:00:00Z</updated>\
+           </entry>\
+         </item>\
+       </items>\
+     </event>\
+   </message>';
+
+describe('WebSocket', function() {
+
+  before(function(done) {
+    tutil.startHttpServer(function() {
+      tutil.mockXmppServer(mockConfig, done);
+    });
+  });
+
+  function connect(auth, origin) {
+    var options = {headers: {}};
+    if (auth) {
+      options.headers['Authorization'] =
+        'Basic ' + new Buffer(auth).toString('base64');
+    }
+    if (origin) {
+      options.origin = origin;
+    }
+    return new WebSocket('ws://localhost:' + config.port + '/websocket',
+                         options);
+  }
+
+  function expectRefusal(ws, statusCode, done) {
+    ws.on('open', function() {
+      done(new Error('connection was accepted'));
+    });
+    ws.on('unexpected-response', function(req, res) {
+      res.statusCode.should.equal(statusCode);
+      req.abort();
+      done();
+    });
+  }
+
+  function subscribe(ws, callback) {
+    ws.on('open', function() {
+      ws.send(JSON.stringify({
+        type: 'subscribe',
+        channel: 'alice@localhost',
+        node: 'posts'
+      }));
+    });
+    ws.once('message', function(data) {
+      callback(JSON.parse(data));
+    });
+  }
+
+  it('should confirm subscriptions', function(done) {
+    var ws = connect('alice@localhost/http:alice');
+    subscribe(ws, function(message) {
+      message.should.eql({
+        type: 'subscribed',
+        channel: 'alice@localhost',
+        node: 'posts'
+      });
+      ws.close();
+      done();
+    });
+  });
+
+  it('should deliver published items', function(done) {
+    var ws = connect('alice@localhost/http:alice');
+    subscribe(ws, function(message) {
+      message.type.should.equal('subscribed');
+      ws.once('message', function(data) {
+        var message2 = JSON.parse(data);
+        message2.type.should.equal('item');
+        message2.channel.should.equal('alice@localhost');
+        message2.node.should.equal('posts');
+        message2.item.id.should.equal('1');
+        message2.item.content.should.equal('Hello');
+        ws.close();
+        done();
+      });
+      tutil.notifyXmppClients(itemNotification);
+    });
+  });
+
+  it('should stay alive after the session expired', function(done) {
+    var expirationTime = config.sessionExpirationTime * 1000;
+    this.timeout(expirationTime + 2000);
+    var ws = connect('alice@localhost/http:alice');
+    subscribe(ws, function(message) {
+      message.type.should.equal('subscribed');
+      ws.once('message', function(data) {
+        JSON.parse(data).type.should.equal('item');
+        ws.close();
+        done();
+      });
+      setTimeout(function() {
+        tutil.notifyXmppClients(itemNotification);
+      }, expirationTime + 500);
+    });
+  });
+
+  it('should report malformed messages', function(done) {
+    var ws = connect('alice@localhost/http:alice');
+    ws.on('open', function() {
+      ws.send('{');
+    });
+    ws.once('message', function(data) {
+      JSON.parse(data).should.eql({type: 'error', error: 'malformed message'});
+      ws.close();
+      done();
+    });
+  });
+
+  it('should be refused with wrong credentials', function(done) {
+    expectRefusal(connect('alice@localhost/http:bob'), 401, done);
+  });
+
+  it('should be refused for untrusted origins', function(done) {
+    expectRefusal(connect('alice@localhost/http:alice', 'null'), 403, done);
+  });
+
+  it('should accept connections from the same origin', function(done) {
+    var origin = 'http://localhost:' + config.port;
+    var ws = connect('alice@localhost/http:alice', origin);
+    ws.on('open', function() {
+      ws.close();
+      done();
+    });
+  });
+
+  after(function() {
+    tutil.end();
+  });
+
+});